@@ -0,0 +1,31 @@
+/**
+ * Pre-renders article pages: the article is fetched from relays while the page
+ * itself is produced, then written into it, so the page shows content and
+ * link previews without JavaScript. nostipedia.js takes over from there.
+ */
+import { serverOptions, fetchArticle, renderArticlePage, PRERENDER_TIMEOUT } from '../nostipedia-server.js';
+
+const ARTICLE_PATHS = ['/article', '/article.html'];
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    // Old revisions are rare in link previews and not worth holding the page for.
+    if (request.method !== 'GET' || !ARTICLE_PATHS.includes(url.pathname) || params.get('rev') || !(params.get('d') || params.get('id'))) {
+        return context.next();
+    }
+
+    const [response, article] = await Promise.all([
+        context.next(),
+        fetchArticle(params, serverOptions(env, { timeout: PRERENDER_TIMEOUT })).catch(() => null),
+    ]);
+    if (!article || !response.ok || !(response.headers.get('content-type') || '').includes('text/html')) return response;
+
+    const headers = new Headers(response.headers);
+    headers.delete('content-length');
+    headers.set('cache-control', 'public, max-age=60');
+    // Tells sw.js not to keep this page as the article.html shell.
+    headers.set('x-nostipedia-prerendered', '1');
+    return new Response(renderArticlePage(await response.text(), article, url), { status: response.status, headers });
+}
@@ -0,0 +1,14 @@
+/**
+ * GET /api/article?d=<topic> or ?id=<naddr|nevent|note|hex id>
+ * The newest version of an article, with its rendered body and the signed
+ * event it came from.
+ */
+import { serverOptions, fetchArticle, articleJson, jsonResponse } from '../../nostipedia-server.js';
+
+export async function onRequestGet({ request, env }) {
+    const params = new URL(request.url).searchParams;
+    if (!params.get('d') && !params.get('id')) return jsonResponse({ error: 'Expected a d (topic) or id parameter' }, 400);
+    const article = await fetchArticle(params, serverOptions(env));
+    if (!article) return jsonResponse({ error: 'Article not found' }, 404);
+    return jsonResponse({ ...articleJson(article, true), versions: article.versions });
+}
@@ -0,0 +1,14 @@
+/**
+ * GET /api/recent?author=<npub>&category=<name>&window=<hour|day|week|month>&until=<unix time>&limit=<n>
+ * Recently changed articles, newest first. Pass the created_at of the last
+ * result as `until` for the next page.
+ */
+import { serverOptions, recentArticles, jsonResponse } from '../../nostipedia-server.js';
+
+export async function onRequestGet({ request, env }) {
+    const params = new URL(request.url).searchParams;
+    const limit = Math.min(100, Math.max(1, Number(params.get('limit')) || 20));
+    const articles = await recentArticles(params, limit, serverOptions(env));
+    if (!articles) return jsonResponse({ error: 'Invalid author' }, 400);
+    return jsonResponse({ articles });
+}
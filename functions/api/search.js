@@ -0,0 +1,14 @@
+/**
+ * GET /api/search?q=<query>&limit=<n>
+ * Recent articles ranked against a query, best first.
+ */
+import { serverOptions, searchArticles, jsonResponse } from '../../nostipedia-server.js';
+
+export async function onRequestGet({ request, env }) {
+    const params = new URL(request.url).searchParams;
+    const query = (params.get('q') || '').trim();
+    if (!query) return jsonResponse({ error: 'Expected a q parameter' }, 400);
+    const limit = Math.min(50, Math.max(1, Number(params.get('limit')) || 20));
+    const results = await searchArticles(query, limit, serverOptions(env));
+    return jsonResponse({ query, results });
+}
@@ -0,0 +1,260 @@
+/**
+ * nostipedia-server.js
+ * Server side of Nostipedia, used by the Pages Functions in functions/.
+ * Queries relays for the JSON API and pre-renders article pages, reusing the
+ * DOM-free parts of nostipedia.js.
+ */
+import {
+    DEFAULT_RELAYS, ARTICLE_KIND, RECENT_WINDOWS,
+    nip19, parseNostrIdentifier, pointerToFilter, authorPubkey,
+    checkEventId, verifyEvent, createRelayPool, normalizeRelayUrl,
+    getTagValue, normalizeTopic, articleTopic, articleTitle, articleCoordinate, articleAddress,
+    escapeHtml, topicLink, shortNpub, markup, createSearchIndex,
+} from './nostipedia.js';
+
+const QUERY_TIMEOUT = 4000; // Milliseconds to wait for slow relays
+const PRERENDER_TIMEOUT = 2500; // Shorter, since a page is waiting on it
+const SEARCH_SCAN_LIMIT = 500; // Recent articles searched per query
+
+/**
+ * Reads the server settings from the Pages environment. NOSTIPEDIA_RELAYS is
+ * a comma-separated list of relays to ask instead of the defaults.
+ * @param {object} [env] The Functions `env`.
+ * @param {object} [overrides] E.g. `timeout`, or a `WebSocket` implementation
+ *   where the runtime has no global one.
+ */
+export function serverOptions(env = {}, overrides = {}) {
+    const relays = env.NOSTIPEDIA_RELAYS ? env.NOSTIPEDIA_RELAYS.split(',').map(url => url.trim()).filter(Boolean) : DEFAULT_RELAYS;
+    return { relays, timeout: QUERY_TIMEOUT, ...overrides };
+}
+
+/**
+ * Runs one query on every relay and resolves once each has sent EOSE or
+ * failed, or when the timeout passes. Only event ids are checked here;
+ * signatures are verified for the events actually returned, see verified().
+ * @returns {Promise<Array<{event: object, relay: string}>>}
+ */
+export function queryRelays(filters, { relays, WebSocket, timeout = QUERY_TIMEOUT }) {
+    return new Promise(resolve => {
+        const results = new Map();
+        const pending = new Set(relays.map(normalizeRelayUrl));
+        let done = false;
+        let timer = null;
+        let pool = null;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            pool.disconnect();
+            resolve([...results.values()]);
+        };
+        const settle = (url) => {
+            pending.delete(url);
+            if (pending.size === 0) finish();
+        };
+        pool = createRelayPool({
+            WebSocket,
+            verifyEvent: checkEventId,
+            onEvent: (subId, event, url) => {
+                if (!results.has(event.id)) results.set(event.id, { event, relay: url });
+            },
+            onEose: (subId, url) => settle(url),
+            onStatusChange: (url) => {
+                // A relay that failed to connect is not retried within one request.
+                const status = pool && pool.status().find(s => s.url === url);
+                if (!status || status.state === 'waiting') settle(url);
+            },
+        });
+        pool.connect(relays);
+        pool.subscribe('api', filters, { closeOnEose: true });
+        timer = setTimeout(finish, timeout);
+    });
+}
+
+/**
+ * Keeps the results with a valid signature, at most `limit` of them.
+ */
+function verified(results, limit = Infinity) {
+    const valid = [];
+    for (const result of results) {
+        if (valid.length >= limit) break;
+        if (verifyEvent(result.event)) valid.push(result);
+    }
+    return valid;
+}
+
+/**
+ * Keeps the newest event per article address, newest first.
+ */
+function currentVersions(results) {
+    const byAddress = new Map();
+    results.forEach(result => {
+        if (result.event.kind !== ARTICLE_KIND) return;
+        const address = articleCoordinate(result.event);
+        const existing = byAddress.get(address);
+        if (!existing || existing.event.created_at < result.event.created_at) byAddress.set(address, result);
+    });
+    return [...byAddress.values()].sort((a, b) => b.event.created_at - a.event.created_at);
+}
+
+/**
+ * Builds the relay query for an article request: `d` (a topic) or `id` (an
+ * naddr, nevent, note or hex id). Returns null if neither is usable.
+ */
+export function articleQuery(params) {
+    const topic = params.get('d');
+    if (topic) {
+        return { filters: [{ kinds: [ARTICLE_KIND], '#d': [...new Set([topic, normalizeTopic(topic)])], limit: 100 }], hints: [] };
+    }
+    const pointer = parseNostrIdentifier(params.get('id') || '');
+    if (!pointer || pointer.type === 'profile') return null;
+    return { filters: [pointerToFilter(pointer)], hints: pointer.relays };
+}
+
+/**
+ * Fetches the article a request asks for. For a topic this is the newest
+ * version by any author, as the article page shows by default.
+ * @returns {Promise<{event: object, relay: string, versions: number}|null>}
+ */
+export async function fetchArticle(params, options) {
+    const query = articleQuery(params);
+    if (!query) return null;
+    const relays = [...new Set([...options.relays, ...query.hints])];
+    const versions = currentVersions(await queryRelays(query.filters, { ...options, relays }));
+    const [current] = verified(versions, 1);
+    return current ? { ...current, versions: versions.length } : null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns an article's summary tag, or the start of its text.
+ */
+function articleSummary(event, html) {
+    const summary = getTagValue(event, 'summary');
+    if (summary) return summary;
+    const text = decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    return text.length > 200 ? `${text.slice(0, 200).replace(/\s+\S*$/, '')}…` : text;
+}
+
+/**
+ * The JSON form of an article, as the API returns it.
+ * @param {boolean} [withBody] Include the rendered HTML and table of contents.
+ */
+export function articleJson({ event, relay }, withBody = false) {
+    const rendered = markup.render(event.content);
+    const json = {
+        id: event.id,
+        pubkey: event.pubkey,
+        npub: nip19.npubEncode(event.pubkey),
+        topic: articleTopic(event),
+        title: articleTitle(event),
+        summary: articleSummary(event, rendered.html),
+        categories: event.tags.filter(t => t[0] === 't' && t[1]).map(t => t[1].trim()),
+        created_at: event.created_at,
+        naddr: articleAddress(event, relay ? [relay] : []),
+        link: topicLink(articleTopic(event)),
+        relay,
+    };
+    if (withBody) Object.assign(json, { html: rendered.html, toc: rendered.toc, event });
+    return json;
+}
+
+/**
+ * Ranks recent articles for a query, like search.html does locally.
+ */
+export async function searchArticles(query, limit, options) {
+    const index = createSearchIndex();
+    const versions = currentVersions(await queryRelays([{ kinds: [ARTICLE_KIND], limit: SEARCH_SCAN_LIMIT }], options));
+    const relayOf = new Map(versions.map(({ event, relay }) => [event.id, relay]));
+    versions.forEach(({ event }) => index.add(event));
+    const ranked = index.search(query).map(({ event, score, terms }) => ({ event, relay: relayOf.get(event.id), score, terms }));
+    return verified(ranked, limit).map(result => ({
+        ...articleJson(result),
+        score: result.score,
+        snippet: index.snippet(result.event, result.terms),
+    }));
+}
+
+/**
+ * Lists recently changed articles. Takes the same filters as recent.html
+ * (author, category, window) plus `until` for paging.
+ */
+export async function recentArticles(params, limit, options) {
+    const filter = { kinds: [ARTICLE_KIND], limit };
+    const author = params.get('author');
+    if (author) {
+        const pubkey = authorPubkey(author);
+        if (!pubkey) return null;
+        filter.authors = [pubkey];
+    }
+    const category = (params.get('category') || '').trim();
+    if (category) filter['#t'] = [...new Set([category, category.toLowerCase(), category.charAt(0).toUpperCase() + category.slice(1)])];
+    if (RECENT_WINDOWS[params.get('window')]) filter.since = Math.floor(Date.now() / 1000) - RECENT_WINDOWS[params.get('window')];
+    const until = Number(params.get('until'));
+    if (Number.isInteger(until) && until > 0) filter.until = until;
+    const versions = currentVersions(await queryRelays([filter], options));
+    return verified(versions, limit).map(result => articleJson(result));
+}
+
+function replaceOnce(html, pattern, replacement) {
+    // A function replacement, so `$` in article text is taken literally.
+    return html.replace(pattern, () => replacement);
+}
+
+/**
+ * Fills an article page with the article: title, meta tags for link previews
+ * (Open Graph and Twitter cards), the rendered body, and the event itself,
+ * which nostipedia.js picks up to continue live.
+ * @param {string} html The page as it would otherwise be served.
+ * @param {{event: object, relay: string}} article
+ * @param {URL} url The requested URL.
+ */
+export function renderArticlePage(html, article, url) {
+    const { event, relay } = article;
+    const json = articleJson(article, true);
+    const title = escapeHtml(json.title);
+    const description = escapeHtml(json.summary);
+    const meta = [
+        ['name', 'description', description],
+        ['property', 'og:type', 'article'],
+        ['property', 'og:site_name', 'Nostipedia'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', escapeHtml(url.href)],
+        ['property', 'article:modified_time', new Date(event.created_at * 1000).toISOString()],
+        ['name', 'twitter:card', 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+    ].map(([attribute, name, content]) => `    <meta ${attribute}="${name}" content="${content}">`);
+    meta.push(`    <link rel="canonical" href="${escapeHtml(new URL(json.link, url).href)}">`);
+    const data = JSON.stringify({ event, relay }).replace(/</g, '\\u003c');
+
+    html = replaceOnce(html, /<title>[\s\S]*?<\/title>/, `<title>${title} - Nostipedia</title>`);
+    html = replaceOnce(html, /<\/head>/, `${meta.join('\n')}\n</head>`);
+    html = replaceOnce(html, /(<h1 id="article-title">)[\s\S]*?(<\/h1>)/, `<h1 id="article-title">${title}</h1>`);
+    html = replaceOnce(html, /<span id="article-author"><\/span>/,
+        `<span id="article-author"><a class="author-link" href="/author.html?pubkey=${json.npub}">${escapeHtml(shortNpub(event.pubkey))}</a></span>`);
+    html = replaceOnce(html, /<span id="article-date"><\/span>/, `<span id="article-date">${new Date(event.created_at * 1000).toUTCString()}</span>`);
+    html = replaceOnce(html, /<div id="article-toc"><\/div>/, `<div id="article-toc">${json.toc}</div>`);
+    return html.replace(/(<div id="article-content"[^>]*>)[\s\S]*?<\/div>/, (match, open) =>
+        `${open}\n${json.html}\n</div>\n<script type="application/json" id="prerendered-article">${data}</script>`);
+}
+
+/**
+ * A JSON response the API can return, readable from other origins.
+ */
+export function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json; charset=utf-8',
+            'access-control-allow-origin': '*',
+            'cache-control': status === 200 ? 'public, max-age=60' : 'no-store',
+        },
+    });
+}
+
+export { PRERENDER_TIMEOUT };
@@ -16,21 +16,102 @@ const DEFAULT_RELAYS = [
 ];
 
 const ARTICLE_KIND = 30818; // NIP-54: Wikipedia-style article
+const COMMENT_KIND = 1111; // NIP-22: comment, used for talk pages
+const MUTE_LIST_KIND = 10000; // NIP-51: the reader's mute list
+const REPORT_KIND = 1984; // NIP-56: report
+const RELAY_LIST_KIND = 10002; // NIP-65: an author's read and write relays
+const WIKI_RELAYS_KIND = 10102; // NIP-51: relays an author uses for wiki articles
+const RELAY_LIST_INDEXERS = ['wss://purplepag.es']; // Relays that collect relay lists, asked alongside the configured ones
+const OUTBOX_RELAYS_PER_AUTHOR = 2; // Write relays to ask per author in author-scoped queries
+const MAX_TEMPORARY_RELAYS = 8; // Author relays connected at once, besides the configured ones
+const TEMPORARY_RELAY_IDLE = 60 * 1000; // Milliseconds before an unused author relay is closed
+const CATEGORY_PAGE_SIZE = 20; // Articles per page on categories.html
+const RANDOM_CACHE_MINIMUM = 20; // Unseen cached topics needed to pick a random article without asking relays
+const RANDOM_HISTORY_SIZE = 200; // Topics remembered per session to avoid repeats
+const RECENT_WINDOWS = { hour: 3600, day: 86400, week: 7 * 86400, month: 30 * 86400 }; // Time filters on recent.html, in seconds
 
 // --- State ---
 
 let relays = [];
-let pool = [];
-let connected = false;
+let pool = null; // The relay pool, see createRelayPool
+let connectionWaiters = []; // Resolvers waiting for the first relay to open
 let receivedEvents = {}; // Track received events per subscription
+let articleVersions = {}; // Newest known article event per address (kind:pubkey:d)
+let eventRelays = {}; // First relay each event was seen on, for relay hints
+let articleView = { topic: null, selected: null, rendered: null, update: null }; // State of the article page
+let pageOpenedAt = Math.floor(Date.now() / 1000); // Events created after this are live updates
+let versionReactions = {}; // Reacting pubkeys per article address
+let versionReactionsKey = null; // Addresses reactions were last asked for
+let readerFollows = null; // Set of pubkeys from the reader's kind-3 contact list
+let readerContactsEvent = null; // Newest kind-3 contact list of the signer, the source of readerFollows
+let historyRevisions = {}; // Every revision of the topic shown on history.html, by event id
+let historyForksKey = null; // Addresses forks were last asked for on history.html
+let comparePanes = { 'pane-1': null, 'pane-2': null }; // Events loaded into compare.html
+let knownTopics = new Set(); // Normalized topics some relay has an article for
+let wikilinkQueries = {}; // Topics asked about per wikilink subscription
+let whatLinksHereTopic = null; // Topic the "What links here" list was fetched for
+let backlinks = {}; // Articles linking to that topic, newest version per address
+let profiles = {}; // Newest kind-0 metadata per pubkey: { event, data }
+let requestedProfiles = new Set(); // Pubkeys already asked for, to avoid repeat requests
+let pendingProfiles = new Set(); // Pubkeys waiting for the next batched request
+let profileBatchTimer = null;
+let profileBatchCount = 0;
+let nip05Status = {}; // Result of NIP-05 verification per pubkey
+let authorPage = { pubkey: null, articles: {} }; // State of author.html
+let pendingPublishes = {}; // Per-relay OK results for events being published, by event id
+let editorState = { source: null, dirty: false }; // State of editor.html
+let verifiedEventIds = new Map(); // Signature already verified for each event id
+let relayStatusTimer = null; // Refreshes relay status while the settings modal is open
+let paneSubscriptions = {}; // Subscription currently feeding each compare pane
+let pendingCacheWrites = []; // [event, relayUrl] pairs waiting to be written to the offline cache
+let cacheWriteTimer = null;
+let cachedQueries = {}; // Result ids to save per subscription: { key, ids }
+let searchState = { query: null, relayMatches: new Map() }; // State of search.html
+let searchRenderTimer = null;
+let relayNips = {}; // NIPs each relay supports according to its NIP-11 document, or the request still loading it
+let categoryView = { category: null, page: 1, loaded: false }; // State of categories.html and the home page list
+let categoryRenderTimer = null;
+let categoryTagsKey = null; // Tag values last queried for the open category
+let pagedLists = {}; // Lists loaded a page at a time, see createPagedList
+let loadMoreObserver = null; // Loads the next page when a "Load more" control scrolls into view
+let talkComments = {}; // NIP-22 comments on the open article, by event id
+let talkState = { key: null, replyTo: null, draft: '', status: '' }; // Talk tab: addresses fetched for and the open reply form
+let talkRenderTimer = null;
+let moderation = {
+    reader: null, // Pubkey whose mute list, follows and reports are used
+    hops: 0, // Web of trust: only show authors within this many follow hops, 0 for anyone
+    useReports: true,
+    mutes: { pubkeys: new Set(), events: new Set(), tags: new Set(), words: [], createdAt: 0 },
+    reports: new Map(), // Reported event id or pubkey -> Map of reporter -> report type
+    follows: null, // Pubkeys the reader follows, from their kind-3 contact list
+    followsAt: 0, // created_at of that contact list
+    reporters: null, // Pubkeys whose reports were asked for
+    trust: null, // Pubkeys within `hops` follow hops, null until known
+    trustBuilding: null, // `trust` while contact lists are still arriving
+    trustPending: new Set(), // Contact list subscriptions still to answer while building `trust`
+    shownAnyway: new Set(), // Event ids the reader chose to see despite the rules
+}; // Moderation rules, see isHiddenEvent
+let authorRelayLists = {}; // Per pubkey: { write, wiki, relayListAt, wikiListAt, checked } from kinds 10002 and 10102
+let requestedRelayLists = new Set(); // Pubkeys whose relay lists were asked for this session
+let pendingRelayLists = new Set(); // Pubkeys waiting for the next batched relay list request
+let relayListBatchTimer = null;
+let relayListBatchCount = 0;
+let relayListQueries = {}; // Pubkeys asked for per relay list subscription
+let routedSubscriptions = new Map(); // subId -> authors whose relay lists it still waits for
+let moderationLog = new Map(); // Events of moderated lists by id: { event, subId, relayUrl, shown }
+let moderationRefreshTimer = null;
+let hourlyEdits = new Map(); // Event id -> created_at of edits in the last hour, for the home page counter
+let hourlyEditsTimer = null;
+let randomState = { category: null, includeAll: false, candidates: new Map(), picked: false, waiting: new Set() }; // State of the /random route; `waiting` holds relays yet to finish the scan
+let importedEvents = []; // Events from the last imported bundle, for republishing
 
 // --- DOM Elements (will be initialized on load) ---
 let searchInput, searchButton, connectLink, settingsLink, settingsModalBackdrop, 
     settingsCloseButton, relayList, addRelayInput, addRelayButton;
 
 
-// --- NIP-19 Bech32 Decoding Utility ---
-// A minimal bech32 decoder function to avoid external dependencies.
+// --- NIP-19 Bech32 Utility ---
+// A minimal bech32 encoder/decoder to avoid external dependencies.
 // Based on the BIP173 reference implementation.
 const bech32 = (() => {
     const ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
@@ -68,24 +149,56 @@ const bech32 = (() => {
     function verifyChecksum(hrp, data) {
         return polymod(HRPExpand(hrp).concat(data)) === 1;
     }
+    function createChecksum(hrp, data) {
+        const values = HRPExpand(hrp).concat(data).concat([0, 0, 0, 0, 0, 0]);
+        const mod = polymod(values) ^ 1;
+        const ret = [];
+        for (let p = 0; p < 6; ++p) {
+            ret.push((mod >> 5 * (5 - p)) & 31);
+        }
+        return ret;
+    }
+    // Converts 8-bit bytes into 5-bit words, padding the final word with zeros.
+    function toWords(bytes) {
+        const words = [];
+        let bits = 0;
+        let value = 0;
+        for (let i = 0; i < bytes.length; ++i) {
+            value = ((value << 8) | bytes[i]) & 0xfff;
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                words.push((value >> bits) & 31);
+            }
+        }
+        if (bits > 0) {
+            words.push((value << (5 - bits)) & 31);
+        }
+        return words;
+    }
+    // Converts 5-bit words back into 8-bit bytes. Leftover padding must be zero.
     function fromWords(words) {
-        const BITS_PER_BYTE = 8;
-        const BITS_PER_WORD = 5;
-        let res = '';
+        const bytes = [];
         let bits = 0;
         let value = 0;
-        for(let i=0; i<words.length; ++i) {
-            value = (value << BITS_PER_WORD) | words[i];
-            bits += BITS_PER_WORD;
-            while(bits >= BITS_PER_BYTE) {
-                bits -= BITS_PER_BYTE;
-                const b = (value >> bits) & 255;
-                res += String.fromCharCode(b);
+        for (let i = 0; i < words.length; ++i) {
+            value = ((value << 5) | words[i]) & 0xfff;
+            bits += 5;
+            while (bits >= 8) {
+                bits -= 8;
+                bytes.push((value >> bits) & 255);
             }
         }
-        return res;
+        if (bits >= 5 || ((value << (8 - bits)) & 255)) {
+            throw new Error('Invalid bech32 padding');
+        }
+        return new Uint8Array(bytes);
     }
-    function decode(str) {
+    /**
+     * Decodes a bech32 string. NIP-19 identifiers with TLV data routinely exceed
+     * the BIP173 limit of 90 characters, so callers may pass a larger limit.
+     */
+    function decode(str, limit = 90) {
         let p;
         let hasLower = false;
         let hasUpper = false;
@@ -105,7 +218,7 @@ const bech32 = (() => {
         }
         str = str.toLowerCase();
         const pos = str.lastIndexOf('1');
-        if (pos < 1 || pos + 7 > str.length || str.length > 90) {
+        if (pos < 1 || pos + 7 > str.length || str.length > limit) {
             return null;
         }
         const hrp = str.substring(0, pos);
@@ -122,309 +235,5416 @@ const bech32 = (() => {
         }
         return { hrp: hrp, words: data.slice(0, data.length - 6) };
     }
-    return { decode };
+    function encode(hrp, words) {
+        const combined = words.concat(createChecksum(hrp, words));
+        let ret = hrp + '1';
+        for (let p = 0; p < combined.length; ++p) {
+            ret += ALPHABET.charAt(combined[p]);
+        }
+        return ret;
+    }
+    return { decode, encode, toWords, fromWords };
+})();
+
+// --- NIP-19 Entities ---
+// Encodes and decodes the bech32 entities defined by NIP-19: npub, note,
+// nprofile, nevent and naddr. The shareable ones carry TLV (type-length-value)
+// records with relay hints, the author and the event kind.
+const nip19 = (() => {
+    const BECH32_LIMIT = 5000;
+    const TLV_SPECIAL = 0;
+    const TLV_RELAY = 1;
+    const TLV_AUTHOR = 2;
+    const TLV_KIND = 3;
+    const utf8Encoder = new TextEncoder();
+    const utf8Decoder = new TextDecoder();
+
+    function hexToBytes(hex) {
+        if (!/^([a-f0-9]{2})*$/i.test(hex)) throw new Error('Invalid hex string');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+    function bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    function kindToBytes(kind) {
+        return new Uint8Array([(kind >>> 24) & 255, (kind >>> 16) & 255, (kind >>> 8) & 255, kind & 255]);
+    }
+    function bytesToKind(bytes) {
+        if (bytes.length !== 4) throw new Error('Kind TLV must be 4 bytes');
+        return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    }
+
+    function parseTLV(bytes) {
+        const tlv = {};
+        let i = 0;
+        while (i < bytes.length) {
+            if (i + 2 > bytes.length) throw new Error('Truncated TLV entry');
+            const type = bytes[i];
+            const length = bytes[i + 1];
+            const start = i + 2;
+            if (start + length > bytes.length) throw new Error(`TLV entry ${type} overruns data`);
+            if (!tlv[type]) tlv[type] = [];
+            tlv[type].push(bytes.slice(start, start + length));
+            i = start + length;
+        }
+        return tlv;
+    }
+    function encodeTLV(entries) {
+        const out = [];
+        entries.forEach(([type, value]) => {
+            if (value.length > 255) throw new Error(`TLV entry ${type} is too long`);
+            out.push(type, value.length, ...value);
+        });
+        return new Uint8Array(out);
+    }
+
+    function expectLength(bytes, length, what) {
+        if (!bytes || bytes.length !== length) throw new Error(`Invalid ${what}`);
+        return bytesToHex(bytes);
+    }
+
+    /**
+     * Decodes a NIP-19 string.
+     * @param {string} str The bech32 entity, without a `nostr:` prefix.
+     * @returns {{type: string, data: (string|object)}} The entity type (hrp) and its payload.
+     */
+    function decode(str) {
+        const decoded = bech32.decode(str, BECH32_LIMIT);
+        if (!decoded) throw new Error('Invalid bech32 string');
+        const bytes = bech32.fromWords(decoded.words);
+
+        switch (decoded.hrp) {
+            case 'npub':
+            case 'note':
+                return { type: decoded.hrp, data: expectLength(bytes, 32, decoded.hrp) };
+            case 'nprofile': {
+                const tlv = parseTLV(bytes);
+                return {
+                    type: 'nprofile',
+                    data: {
+                        pubkey: expectLength(tlv[TLV_SPECIAL] && tlv[TLV_SPECIAL][0], 32, 'nprofile pubkey'),
+                        relays: (tlv[TLV_RELAY] || []).map(r => utf8Decoder.decode(r)),
+                    },
+                };
+            }
+            case 'nevent': {
+                const tlv = parseTLV(bytes);
+                return {
+                    type: 'nevent',
+                    data: {
+                        id: expectLength(tlv[TLV_SPECIAL] && tlv[TLV_SPECIAL][0], 32, 'nevent id'),
+                        relays: (tlv[TLV_RELAY] || []).map(r => utf8Decoder.decode(r)),
+                        author: tlv[TLV_AUTHOR] ? expectLength(tlv[TLV_AUTHOR][0], 32, 'nevent author') : undefined,
+                        kind: tlv[TLV_KIND] ? bytesToKind(tlv[TLV_KIND][0]) : undefined,
+                    },
+                };
+            }
+            case 'naddr': {
+                const tlv = parseTLV(bytes);
+                if (!tlv[TLV_SPECIAL]) throw new Error('naddr is missing its identifier');
+                if (!tlv[TLV_AUTHOR]) throw new Error('naddr is missing its author');
+                if (!tlv[TLV_KIND]) throw new Error('naddr is missing its kind');
+                return {
+                    type: 'naddr',
+                    data: {
+                        identifier: utf8Decoder.decode(tlv[TLV_SPECIAL][0]),
+                        pubkey: expectLength(tlv[TLV_AUTHOR][0], 32, 'naddr author'),
+                        kind: bytesToKind(tlv[TLV_KIND][0]),
+                        relays: (tlv[TLV_RELAY] || []).map(r => utf8Decoder.decode(r)),
+                    },
+                };
+            }
+            default:
+                throw new Error(`Unsupported NIP-19 prefix: ${decoded.hrp}`);
+        }
+    }
+
+    function encodeBytes(hrp, bytes) {
+        return bech32.encode(hrp, bech32.toWords(bytes));
+    }
+    function relayEntries(relays) {
+        return (relays || []).map(url => [TLV_RELAY, utf8Encoder.encode(url)]);
+    }
+
+    function npubEncode(pubkey) {
+        return encodeBytes('npub', hexToBytes(pubkey));
+    }
+    function noteEncode(id) {
+        return encodeBytes('note', hexToBytes(id));
+    }
+    function nprofileEncode({ pubkey, relays }) {
+        return encodeBytes('nprofile', encodeTLV([[TLV_SPECIAL, hexToBytes(pubkey)], ...relayEntries(relays)]));
+    }
+    function neventEncode({ id, relays, author, kind }) {
+        const entries = [[TLV_SPECIAL, hexToBytes(id)], ...relayEntries(relays)];
+        if (author) entries.push([TLV_AUTHOR, hexToBytes(author)]);
+        if (kind !== undefined) entries.push([TLV_KIND, kindToBytes(kind)]);
+        return encodeBytes('nevent', encodeTLV(entries));
+    }
+    function naddrEncode({ identifier, pubkey, kind, relays }) {
+        return encodeBytes('naddr', encodeTLV([
+            [TLV_SPECIAL, utf8Encoder.encode(identifier)],
+            ...relayEntries(relays),
+            [TLV_AUTHOR, hexToBytes(pubkey)],
+            [TLV_KIND, kindToBytes(kind)],
+        ]));
+    }
+
+    return { decode, npubEncode, noteEncode, nprofileEncode, neventEncode, naddrEncode, hexToBytes, bytesToHex };
+})();
+
+// --- Cryptography ---
+// Self-contained SHA-256 and secp256k1 Schnorr signatures (BIP-340), enough
+// to compute NIP-01 event ids, verify relay events and sign with a local key.
+
+const sha256 = (() => {
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+    ]);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    /**
+     * @param {Uint8Array} bytes The message.
+     * @returns {Uint8Array} The 32-byte digest.
+     */
+    function hash(bytes) {
+        const length = bytes.length;
+        const buffer = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+        buffer.set(bytes);
+        buffer[length] = 0x80;
+        const view = new DataView(buffer.buffer);
+        view.setUint32(buffer.length - 8, Math.floor(length / 0x20000000));
+        view.setUint32(buffer.length - 4, (length << 3) >>> 0);
+
+        const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const W = new Uint32Array(64);
+        for (let offset = 0; offset < buffer.length; offset += 64) {
+            for (let t = 0; t < 16; t++) W[t] = view.getUint32(offset + t * 4);
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+                const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+                W[t] = W[t - 16] + s0 + W[t - 7] + s1;
+            }
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let t = 0; t < 64; t++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            H[0] += a;
+            H[1] += b;
+            H[2] += c;
+            H[3] += d;
+            H[4] += e;
+            H[5] += f;
+            H[6] += g;
+            H[7] += h;
+        }
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        H.forEach((word, i) => outView.setUint32(i * 4, word));
+        return out;
+    }
+
+    return hash;
+})();
+
+const secp256k1 = (() => {
+    const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+    const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+    // The generator, in Jacobian coordinates (X, Y, Z). Z = 0 is the point at infinity.
+    const G = [
+        0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+        0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+        1n,
+    ];
+    const INFINITY = [0n, 1n, 0n];
+    const utf8Encoder = new TextEncoder();
+
+    function mod(a, m = P) {
+        const r = a % m;
+        return r >= 0n ? r : r + m;
+    }
+    function pow(base, exponent, m = P) {
+        let result = 1n;
+        base = mod(base, m);
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % m;
+            base = (base * base) % m;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+    function invert(a, m = P) {
+        let [low, high] = [mod(a, m), m];
+        let [lm, hm] = [1n, 0n];
+        while (low > 1n) {
+            const q = high / low;
+            [lm, hm] = [hm - lm * q, lm];
+            [low, high] = [high - low * q, low];
+        }
+        return mod(lm, m);
+    }
+
+    function double([X, Y, Z]) {
+        if (Z === 0n || Y === 0n) return INFINITY;
+        const A = mod(X * X);
+        const B = mod(Y * Y);
+        const C = mod(B * B);
+        const D = mod(2n * (mod((X + B) * (X + B)) - A - C));
+        const E = mod(3n * A);
+        const X3 = mod(E * E - 2n * D);
+        return [X3, mod(E * (D - X3) - 8n * C), mod(2n * Y * Z)];
+    }
+    function add(p1, p2) {
+        if (p1[2] === 0n) return p2;
+        if (p2[2] === 0n) return p1;
+        const [X1, Y1, Z1] = p1;
+        const [X2, Y2, Z2] = p2;
+        const Z1Z1 = mod(Z1 * Z1);
+        const Z2Z2 = mod(Z2 * Z2);
+        const U1 = mod(X1 * Z2Z2);
+        const U2 = mod(X2 * Z1Z1);
+        const S1 = mod(Y1 * Z2 * Z2Z2);
+        const S2 = mod(Y2 * Z1 * Z1Z1);
+        const H = mod(U2 - U1);
+        const R = mod(S2 - S1);
+        if (H === 0n) return R === 0n ? double(p1) : INFINITY;
+        const H2 = mod(H * H);
+        const H3 = mod(H * H2);
+        const U1H2 = mod(U1 * H2);
+        const X3 = mod(R * R - H3 - 2n * U1H2);
+        return [X3, mod(R * (U1H2 - X3) - S1 * H3), mod(H * Z1 * Z2)];
+    }
+    function multiply(point, scalar) {
+        let result = INFINITY;
+        for (let bit = BigInt(scalar.toString(2).length - 1); bit >= 0n; bit--) {
+            result = double(result);
+            if ((scalar >> bit) & 1n) result = add(result, point);
+        }
+        return result;
+    }
+    // Computes a*A + b*B with a single chain of doublings (Shamir's trick).
+    function multiplyTwo(pointA, a, pointB, b) {
+        const both = add(pointA, pointB);
+        let result = INFINITY;
+        for (let bit = BigInt(Math.max(a.toString(2).length, b.toString(2).length) - 1); bit >= 0n; bit--) {
+            result = double(result);
+            const bitA = (a >> bit) & 1n;
+            const bitB = (b >> bit) & 1n;
+            if (bitA && bitB) result = add(result, both);
+            else if (bitA) result = add(result, pointA);
+            else if (bitB) result = add(result, pointB);
+        }
+        return result;
+    }
+    // The point with the given x coordinate and an even y, or null (BIP-340 lift_x).
+    function liftX(x) {
+        if (x >= P) return null;
+        const c = mod(x * x * x + 7n);
+        const y = pow(c, (P + 1n) / 4n);
+        if (mod(y * y) !== c) return null;
+        return [x, y % 2n === 0n ? y : P - y, 1n];
+    }
+    function toAffine([X, Y, Z]) {
+        const zInv = invert(Z);
+        const zInv2 = mod(zInv * zInv);
+        return { x: mod(X * zInv2), y: mod(Y * zInv2 * zInv) };
+    }
+
+    function bytesToBigInt(bytes) {
+        return BigInt(`0x${nip19.bytesToHex(bytes) || '0'}`);
+    }
+    function bigIntToBytes(n) {
+        return nip19.hexToBytes(n.toString(16).padStart(64, '0'));
+    }
+    function concatBytes(...arrays) {
+        const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let offset = 0;
+        arrays.forEach(a => {
+            out.set(a, offset);
+            offset += a.length;
+        });
+        return out;
+    }
+    function taggedHash(tag, ...messages) {
+        const tagHash = sha256(utf8Encoder.encode(tag));
+        return sha256(concatBytes(tagHash, tagHash, ...messages));
+    }
+
+    function secretScalar(secretKeyHex) {
+        const d = BigInt(`0x${secretKeyHex}`);
+        if (d <= 0n || d >= N) throw new Error('Invalid secret key');
+        return d;
+    }
+
+    /**
+     * @param {string} secretKeyHex 32-byte secret key.
+     * @returns {string} The x-only public key, hex encoded.
+     */
+    function getPublicKey(secretKeyHex) {
+        return nip19.bytesToHex(bigIntToBytes(toAffine(multiply(G, secretScalar(secretKeyHex))).x));
+    }
+
+    /**
+     * Creates a BIP-340 Schnorr signature.
+     * @param {Uint8Array} message The 32-byte message (an event id).
+     * @param {string} secretKeyHex 32-byte secret key.
+     * @param {Uint8Array} auxRand 32 bytes of fresh randomness.
+     * @returns {string} The 64-byte signature, hex encoded.
+     */
+    function sign(message, secretKeyHex, auxRand) {
+        const d0 = secretScalar(secretKeyHex);
+        const publicPoint = toAffine(multiply(G, d0));
+        const d = publicPoint.y % 2n === 0n ? d0 : N - d0;
+        const publicX = bigIntToBytes(publicPoint.x);
+        const t = bigIntToBytes(d ^ bytesToBigInt(taggedHash('BIP0340/aux', auxRand)));
+        const k0 = mod(bytesToBigInt(taggedHash('BIP0340/nonce', t, publicX, message)), N);
+        if (k0 === 0n) throw new Error('Signing failed, try again');
+        const noncePoint = toAffine(multiply(G, k0));
+        const k = noncePoint.y % 2n === 0n ? k0 : N - k0;
+        const rX = bigIntToBytes(noncePoint.x);
+        const e = mod(bytesToBigInt(taggedHash('BIP0340/challenge', rX, publicX, message)), N);
+        return nip19.bytesToHex(concatBytes(rX, bigIntToBytes(mod(k + e * d, N))));
+    }
+
+    /**
+     * Verifies a BIP-340 Schnorr signature.
+     * @param {string} signatureHex The 64-byte signature, hex encoded.
+     * @param {Uint8Array} message The 32-byte message (an event id).
+     * @param {string} publicKeyHex The x-only public key, hex encoded.
+     * @returns {boolean}
+     */
+    function verify(signatureHex, message, publicKeyHex) {
+        if (!/^[0-9a-f]{128}$/i.test(signatureHex) || !/^[0-9a-f]{64}$/i.test(publicKeyHex)) return false;
+        const publicPoint = liftX(BigInt(`0x${publicKeyHex}`));
+        const r = BigInt(`0x${signatureHex.slice(0, 64)}`);
+        const s = BigInt(`0x${signatureHex.slice(64)}`);
+        if (!publicPoint || r >= P || s >= N) return false;
+        const e = mod(bytesToBigInt(taggedHash('BIP0340/challenge', bigIntToBytes(r), nip19.hexToBytes(publicKeyHex), message)), N);
+        // R = s*G - e*P
+        const R = multiplyTwo(G, s, publicPoint, mod(N - e, N));
+        if (R[2] === 0n) return false;
+        const affine = toAffine(R);
+        return affine.y % 2n === 0n && affine.x === r;
+    }
+
+    /**
+     * Returns a random secret key in the valid range.
+     */
+    function randomSecretKey() {
+        for (;;) {
+            const bytes = crypto.getRandomValues(new Uint8Array(32));
+            const d = bytesToBigInt(bytes);
+            if (d > 0n && d < N) return nip19.bytesToHex(bytes);
+        }
+    }
+
+    return { getPublicKey, sign, verify, randomSecretKey };
 })();
 
 /**
- * Parses a Nostr identifier (hex, note1, nevent1) and returns the event ID.
- * @param {string} identifier The string to parse.
- * @returns {string|null} The hex event ID or null if invalid.
+ * Computes a NIP-01 event id: the sha256 of the serialized event.
+ */
+function getEventHash(event) {
+    const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content]);
+    return nip19.bytesToHex(sha256(new TextEncoder().encode(serialized)));
+}
+
+/**
+ * Checks an event's shape and that its id matches its content.
+ */
+function checkEventId(event) {
+    if (!event || typeof event !== 'object') return false;
+    if (typeof event.id !== 'string' || typeof event.pubkey !== 'string' || typeof event.sig !== 'string') return false;
+    if (!Number.isInteger(event.created_at) || !Number.isInteger(event.kind) || typeof event.content !== 'string') return false;
+    if (!Array.isArray(event.tags) || !event.tags.every(tag => Array.isArray(tag) && tag.every(v => typeof v === 'string'))) return false;
+    return getEventHash(event) === event.id;
+}
+
+/**
+ * Checks an event's shape, recomputes its id and verifies its signature.
+ */
+function verifyEvent(event) {
+    if (!checkEventId(event)) return false;
+    try {
+        return secp256k1.verify(event.sig, nip19.hexToBytes(event.id), event.pubkey);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Fills in pubkey, id and sig for an unsigned event template.
+ */
+function finalizeEvent(template, secretKeyHex) {
+    const event = { ...template, pubkey: secp256k1.getPublicKey(secretKeyHex) };
+    event.id = getEventHash(event);
+    event.sig = secp256k1.sign(nip19.hexToBytes(event.id), secretKeyHex, crypto.getRandomValues(new Uint8Array(32)));
+    return event;
+}
+
+/**
+ * Parses a Nostr identifier into a pointer. Accepts raw hex event IDs and the
+ * NIP-19 entities note1, nevent1, naddr1, npub1 and nprofile1, with or without
+ * a `nostr:` URI prefix.
+ * @param {string} identifier The string to parse.
+ * @returns {object|null} One of
+ *   `{ type: 'event', id, author, kind, relays }`,
+ *   `{ type: 'address', identifier, pubkey, kind, relays }` or
+ *   `{ type: 'profile', pubkey, relays }`, or null if invalid.
+ */
+function parseNostrIdentifier(identifier) {
+    if (!identifier) return null;
+    identifier = identifier.trim().replace(/^nostr:/i, '');
+
+    // Check if it's a raw hex ID
+    if (/^[a-f0-9]{64}$/i.test(identifier)) {
+        return { type: 'event', id: identifier.toLowerCase(), relays: [] };
+    }
+
+    try {
+        const { type, data } = nip19.decode(identifier);
+        switch (type) {
+            case 'note':
+                return { type: 'event', id: data, relays: [] };
+            case 'nevent':
+                return { type: 'event', id: data.id, author: data.author, kind: data.kind, relays: data.relays };
+            case 'naddr':
+                return { type: 'address', identifier: data.identifier, pubkey: data.pubkey, kind: data.kind, relays: data.relays };
+            case 'npub':
+                return { type: 'profile', pubkey: data, relays: [] };
+            case 'nprofile':
+                return { type: 'profile', pubkey: data.pubkey, relays: data.relays };
+        }
+    } catch (e) {
+        console.error("Error decoding NIP-19 identifier:", e);
+    }
+    return null;
+}
+
+/**
+ * Builds a relay filter for an event or address pointer.
+ * @param {object} pointer A pointer returned by parseNostrIdentifier.
+ * @returns {object|null} A NIP-01 filter, or null for profile pointers.
+ */
+function pointerToFilter(pointer) {
+    if (pointer.type === 'event') {
+        return { ids: [pointer.id], kinds: [pointer.kind !== undefined ? pointer.kind : ARTICLE_KIND], limit: 1 };
+    }
+    if (pointer.type === 'address') {
+        return { kinds: [pointer.kind], authors: [pointer.pubkey], '#d': [pointer.identifier], limit: 1 };
+    }
+    return null;
+}
+
+/**
+ * Returns a short key identifying a pointer, for use in subscription IDs.
+ */
+function pointerSubKey(pointer) {
+    return pointer.type === 'event' ? pointer.id : `${pointer.pubkey.substring(0, 16)}-${pointer.identifier}`.substring(0, 48);
+}
+
+/**
+ * Returns a stable NIP-19 naddr for a kind-30818 article event.
+ */
+function articleAddress(event, relayHints = []) {
+    return nip19.naddrEncode({ identifier: articleTopic(event), pubkey: event.pubkey, kind: event.kind, relays: relayHints });
+}
+
+
+// --- Article Helpers ---
+
+function getTagValue(event, name) {
+    const tag = event.tags.find(t => t[0] === name);
+    return tag ? tag[1] : undefined;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalizes a topic the way NIP-54 normalizes `d` tags: letters are
+ * lowercased and every other character becomes a dash.
+ */
+function normalizeTopic(topic) {
+    return topic.trim().toLowerCase().replace(/[^\p{L}]/gu, '-');
+}
+
+/**
+ * Normalizes a `t` tag so that "Cryptocurrency " and "cryptocurrency" are the
+ * same category. A `/` separates subcategories: "History / Europe" becomes
+ * "history/europe".
+ */
+function normalizeCategory(category) {
+    return category.split('/').map(s => s.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean).join('/');
+}
+
+/**
+ * Returns an article's normalized categories, including the parents of
+ * subcategories: an article in `History/Europe` is also in `history`.
+ */
+function articleCategories(event) {
+    const categories = new Set();
+    event.tags.filter(t => t[0] === 't' && t[1]).forEach(([, raw]) => {
+        const segments = normalizeCategory(raw).split('/').filter(Boolean);
+        segments.forEach((_, i) => categories.add(segments.slice(0, i + 1).join('/')));
+    });
+    return [...categories];
+}
+
+function categoryLink(category) {
+    return `/categories.html?c=${encodeURIComponent(category)}`;
+}
+
+function articleTopic(event) {
+    return getTagValue(event, 'd') || '';
+}
+
+function articleTitle(event) {
+    return getTagValue(event, 'title') || articleTopic(event) || 'Untitled Article';
+}
+
+/**
+ * Returns the NIP-01 address (`kind:pubkey:d`) of a replaceable article event.
+ */
+function articleCoordinate(event) {
+    return `${event.kind}:${event.pubkey}:${articleTopic(event)}`;
+}
+
+function topicLink(topic) {
+    return `/article.html?d=${encodeURIComponent(topic)}`;
+}
+
+/**
+ * Records an article as the current version for its author and topic. Kind
+ * 30818 is parameterized replaceable, so only the newest event per address is
+ * kept; ties on created_at go to the lowest id, as NIP-01 specifies.
+ * @returns {boolean} True if the event replaced what was stored.
+ */
+function storeArticleVersion(event) {
+    const key = articleCoordinate(event);
+    const existing = articleVersions[key];
+    if (existing) {
+        if (existing.created_at > event.created_at) return false;
+        if (existing.created_at === event.created_at && existing.id <= event.id) return false;
+    }
+    articleVersions[key] = event;
+    return true;
+}
+
+/**
+ * Returns the canonical version of a topic: the newest of the per-author
+ * current versions seen so far.
+ */
+function canonicalArticleVersion(topic) {
+    const normalized = normalizeTopic(topic);
+    return Object.values(articleVersions)
+        .filter(e => normalizeTopic(articleTopic(e)) === normalized)
+        .reduce((newest, e) => (!newest || e.created_at > newest.created_at ? e : newest), null);
+}
+
+
+// --- Settings & Local Storage ---
+
+function loadRelaysFromStorage() {
+    const storedRelays = localStorage.getItem('nostipedia_relays');
+    if (storedRelays) {
+        relays = JSON.parse(storedRelays);
+    } else {
+        relays = [...DEFAULT_RELAYS];
+    }
+}
+
+function saveRelaysToStorage() {
+    localStorage.setItem('nostipedia_relays', JSON.stringify(relays));
+}
+
+/**
+ * Normalizes a relay URL so that e.g. `wss://relay.example` and
+ * `wss://relay.example/` (as reported by WebSocket.url) compare equal.
+ */
+function normalizeRelayUrl(url) {
+    try {
+        return new URL(url).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+// --- Relay Pool ---
+// Keeps one connection per relay, reconnects with exponential backoff and
+// replays open subscriptions whenever a relay (re)connects. Events are
+// verified and deduplicated here, so each subscription sees every event once,
+// whichever relay sends it first. The pool does not touch the DOM; the app
+// listens through the handlers given to createRelayPool.
+
+/**
+ * Creates a relay pool.
+ * @param {object} handlers
+ * @param {function} handlers.verifyEvent Returns whether an event is valid; invalid events are dropped.
+ * @param {function} handlers.onEvent Called as (subId, event, relayUrl).
+ * @param {function} handlers.onEose Called as (subId, relayUrl), also when a relay refuses a subscription.
+ * @param {function} handlers.onOk Called as (relayUrl, eventId, accepted, message).
+ * @param {function} handlers.onNotice Called as (relayUrl, message).
+ * @param {function} handlers.onStatusChange Called as (relayUrl) when a connection opens, closes or fails.
+ * @param {function} [handlers.WebSocket] WebSocket implementation, for use outside the browser.
+ * @param {number} [handlers.maxTemporary] Most temporary relays open at once, 8 by default.
+ * @param {number} [handlers.idleTimeout] Milliseconds before an unused temporary relay is closed.
+ */
+function createRelayPool(handlers = {}) {
+    const noop = () => {};
+    const {
+        verifyEvent: isValid = () => true,
+        onEvent = noop,
+        onEose = noop,
+        onOk = noop,
+        onNotice = noop,
+        onStatusChange = noop,
+    } = handlers;
+    const WebSocketImpl = handlers.WebSocket || globalThis.WebSocket;
+    const maxTemporary = handlers.maxTemporary || 8;
+    const idleTimeout = handlers.idleTimeout || 60 * 1000;
+    const BASE_DELAY = 1000;
+    const MAX_DELAY = 5 * 60 * 1000;
+    const FAILED_RETRY_DELAY = 10 * 60 * 1000;
+    const relays = new Map(); // Normalized URL -> connection state
+    const subscriptions = new Map(); // subId -> { filters, closeOnEose, relays, eosed }
+    const delivered = new Map(); // subId -> Set of event ids already passed on
+    const validated = new Map(); // Event id -> the event as first validated, pool-wide, oldest first
+    const MAX_VALIDATED = 10000;
+    const failedTemporary = new Map(); // URL -> time a temporary relay last failed
+    let sweepTimer = null;
+
+    function createRelay(url) {
+        return {
+            url,
+            socket: null,
+            state: 'closed', // connecting, open, waiting (to reconnect) or closed
+            attempts: 0,
+            reconnectTimer: null,
+            nextAttempt: null,
+            latency: null, // Milliseconds from the last REQ to its EOSE
+            lastError: null,
+            eventsReceived: 0,
+            invalidEvents: 0,
+            notices: [],
+            requestTimes: {},
+            temporary: false, // Opened for particular subscriptions, closed when idle
+            lastUsed: Date.now(),
+        };
+    }
+
+    function open(relay) {
+        clearTimeout(relay.reconnectTimer);
+        relay.reconnectTimer = null;
+        let socket;
+        try {
+            socket = new WebSocketImpl(relay.url);
+        } catch (e) {
+            relay.lastError = e.message || String(e);
+            scheduleReconnect(relay);
+            return;
+        }
+        relay.socket = socket;
+        relay.state = 'connecting';
+        onStatusChange(relay.url);
+
+        socket.onopen = () => {
+            if (relay.socket !== socket) return;
+            relay.state = 'open';
+            relay.attempts = 0;
+            relay.nextAttempt = null;
+            onStatusChange(relay.url);
+            subscriptions.forEach((sub, subId) => request(relay, subId, sub));
+        };
+        socket.onmessage = (message) => {
+            if (relay.socket === socket) receive(relay, message.data);
+        };
+        socket.onerror = () => {
+            if (relay.socket !== socket) return;
+            relay.lastError = 'Connection error';
+            onStatusChange(relay.url);
+        };
+        socket.onclose = (e) => {
+            if (relay.socket !== socket) return;
+            relay.socket = null;
+            relay.requestTimes = {};
+            if (e && e.reason) relay.lastError = e.reason;
+            scheduleReconnect(relay);
+        };
+    }
+
+    function scheduleReconnect(relay) {
+        // Temporary relays are not worth retrying; they may be asked again later.
+        if (relay.temporary) {
+            failedTemporary.set(relay.url, Date.now());
+            remove(relay);
+            return;
+        }
+        // Jittered so that many clients do not hammer a relay that just came back.
+        const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** relay.attempts) * (0.5 + Math.random() / 2);
+        relay.attempts++;
+        relay.state = 'waiting';
+        relay.nextAttempt = Date.now() + delay;
+        relay.reconnectTimer = setTimeout(() => open(relay), delay);
+        onStatusChange(relay.url);
+    }
+
+    function remove(relay) {
+        clearTimeout(relay.reconnectTimer);
+        relays.delete(relay.url);
+        const socket = relay.socket;
+        relay.socket = null;
+        relay.state = 'closed';
+        if (socket) socket.close();
+        onStatusChange(relay.url);
+    }
+
+    function send(relay, message) {
+        if (relay.state !== 'open') return false;
+        relay.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    function request(relay, subId, sub) {
+        // Subscriptions without a relay set go to every relay but temporary ones.
+        if (sub.relays ? !sub.relays.has(relay.url) : relay.temporary) return;
+        // A finished one-shot query is not repeated after a reconnect.
+        if (sub.closeOnEose && sub.eosed.has(relay.url)) return;
+        if (send(relay, ['REQ', subId, ...sub.filters])) {
+            relay.requestTimes[subId] = Date.now();
+            relay.lastUsed = Date.now();
+        }
+    }
+
+    // A relay is in use while a subscription for it is open or still loading.
+    function inUse(relay) {
+        return [...subscriptions.values()].some(sub => sub.relays && sub.relays.has(relay.url) && !(sub.closeOnEose && sub.eosed.has(relay.url)));
+    }
+
+    function sweepIdle() {
+        const temporary = [...relays.values()].filter(relay => relay.temporary);
+        temporary.forEach(relay => {
+            if (!inUse(relay) && Date.now() - relay.lastUsed > idleTimeout) remove(relay);
+        });
+        if (![...relays.values()].some(relay => relay.temporary)) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+
+    function endOfStoredEvents(relay, subId) {
+        const sub = subscriptions.get(subId);
+        if (!sub) return;
+        if (relay.requestTimes[subId]) {
+            relay.latency = Date.now() - relay.requestTimes[subId];
+            delete relay.requestTimes[subId];
+        }
+        sub.eosed.add(relay.url);
+        if (sub.closeOnEose) send(relay, ['CLOSE', subId]);
+        onEose(subId, relay.url);
+    }
+
+    function receive(relay, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            return;
+        }
+        if (!Array.isArray(message)) return;
+
+        const [type] = message;
+        if (type === 'EVENT') {
+            const [, subId, event] = message;
+            const seen = delivered.get(subId);
+            if (!seen) return; // Late event for a closed subscription
+            relay.eventsReceived++;
+            // Checking for duplicates first is safe: an invalid event is
+            // never added to `seen`, so it cannot shadow the genuine one.
+            if (event && seen.has(event.id)) return;
+            // An id validated before, from any relay or subscription, is not
+            // checked again; the copy that passed is handed on instead of this
+            // one. Each subscription still gets the event once, since each
+            // feeds its own part of the page.
+            let valid = event && validated.get(event.id);
+            if (!valid) {
+                if (!isValid(event)) {
+                    relay.invalidEvents++;
+                    console.warn(`Dropped an event with an invalid id or signature from ${relay.url}`);
+                    return;
+                }
+                valid = event;
+                validated.set(event.id, event);
+                if (validated.size > MAX_VALIDATED) validated.delete(validated.keys().next().value);
+            }
+            seen.add(valid.id);
+            relay.lastUsed = Date.now();
+            onEvent(subId, valid, relay.url);
+        } else if (type === 'EOSE') {
+            endOfStoredEvents(relay, message[1]);
+        } else if (type === 'CLOSED') {
+            relay.lastError = message[2] || 'Subscription refused';
+            endOfStoredEvents(relay, message[1]);
+        } else if (type === 'OK') {
+            onOk(relay.url, message[1], message[2], message[3]);
+        } else if (type === 'NOTICE') {
+            relay.notices = [...relay.notices, { message: String(message[1]), time: Date.now() }].slice(-20);
+            onNotice(relay.url, message[1]);
+        }
+    }
+
+    return {
+        /**
+         * Connects to the given relays, dropping any others but temporary
+         * ones. Relays waiting to reconnect are retried immediately.
+         */
+        connect(urls) {
+            const wanted = new Set(urls.map(normalizeRelayUrl));
+            relays.forEach(relay => {
+                if (!relay.temporary && !wanted.has(relay.url)) remove(relay);
+            });
+            wanted.forEach(url => {
+                let relay = relays.get(url);
+                if (relay && relay.temporary) {
+                    relay.temporary = false;
+                    subscriptions.forEach((sub, subId) => request(relay, subId, sub));
+                }
+                if (!relay) {
+                    relay = createRelay(url);
+                    relays.set(url, relay);
+                    open(relay);
+                } else if (relay.state === 'waiting') {
+                    relay.attempts = 0;
+                    open(relay);
+                }
+            });
+        },
+
+        disconnect() {
+            relays.forEach(remove);
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        },
+
+        /**
+         * Opens a temporary connection, only sent subscriptions that name
+         * it and closed once idle. At most `maxTemporary` are open at once;
+         * the least recently used idle one makes room for a new one.
+         * @returns {boolean} False if the relay cannot be used right now.
+         */
+        addTemporary(url) {
+            url = normalizeRelayUrl(url);
+            const existing = relays.get(url);
+            if (existing) {
+                existing.lastUsed = Date.now();
+                return true;
+            }
+            if (Date.now() - (failedTemporary.get(url) || 0) < FAILED_RETRY_DELAY) return false;
+            const temporary = [...relays.values()].filter(relay => relay.temporary);
+            if (temporary.length >= maxTemporary) {
+                const idle = temporary.filter(relay => !inUse(relay)).sort((a, b) => a.lastUsed - b.lastUsed)[0];
+                if (!idle) return false;
+                remove(idle);
+            }
+            const relay = createRelay(url);
+            relay.temporary = true;
+            relays.set(url, relay);
+            open(relay);
+            if (!sweepTimer) sweepTimer = setInterval(sweepIdle, 10 * 1000);
+            return true;
+        },
+
+        /**
+         * Opens (or replaces) a subscription. It is sent to every relay now
+         * and to every relay that connects later, until unsubscribe().
+         * @param {object} [options]
+         * @param {boolean} [options.closeOnEose] Send CLOSE to each relay once it has sent its stored events.
+         * @param {string[]} [options.relays] Only query these relays.
+         */
+        subscribe(subId, filters, options = {}) {
+            const sub = {
+                filters,
+                closeOnEose: !!options.closeOnEose,
+                relays: options.relays ? new Set(options.relays.map(normalizeRelayUrl)) : null,
+                eosed: new Set(),
+            };
+            subscriptions.set(subId, sub);
+            delivered.set(subId, new Set());
+            relays.forEach(relay => request(relay, subId, sub));
+        },
+
+        /**
+         * Adds relays to a subscription that has a relay set, asking only
+         * the new ones.
+         */
+        extend(subId, urls) {
+            const sub = subscriptions.get(subId);
+            if (!sub || !sub.relays) return;
+            urls.map(normalizeRelayUrl).filter(url => !sub.relays.has(url)).forEach(url => {
+                sub.relays.add(url);
+                const relay = relays.get(url);
+                if (relay) request(relay, subId, sub);
+            });
+        },
+
+        unsubscribe(subId) {
+            const sub = subscriptions.get(subId);
+            if (!sub) return;
+            subscriptions.delete(subId);
+            delivered.delete(subId);
+            relays.forEach(relay => {
+                delete relay.requestTimes[subId];
+                if (!(sub.closeOnEose && sub.eosed.has(relay.url))) send(relay, ['CLOSE', subId]);
+            });
+        },
+
+        /**
+         * Sends a message to one relay. Returns false if it is not connected.
+         */
+        send(url, message) {
+            const relay = relays.get(normalizeRelayUrl(url));
+            return !!relay && send(relay, message);
+        },
+
+        isConnected() {
+            return [...relays.values()].some(relay => relay.state === 'open');
+        },
+
+        /**
+         * Returns a snapshot of every relay's connection state and counters.
+         */
+        status() {
+            return [...relays.values()].map(({ socket, reconnectTimer, requestTimes, lastUsed, ...status }) => ({ ...status, notices: [...status.notices] }));
+        },
+    };
+}
+
+// --- Offline Cache ---
+// Verified articles, profiles and the results of list queries are kept in
+// IndexedDB, so pages render straight away (and offline) and then refresh as
+// relays respond. When IndexedDB is unavailable every read resolves to an
+// empty result and writes are dropped, so callers need no special cases.
+
+const offlineCache = (() => {
+    const DB_NAME = 'nostipedia';
+    const DB_VERSION = 1;
+    const STORES = ['articles', 'profiles', 'queries'];
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // Every revision is kept, keyed by event id.
+                    const articles = db.createObjectStore('articles', { keyPath: 'id' });
+                    articles.createIndex('address', 'address');
+                    articles.createIndex('topic', 'topic');
+                    articles.createIndex('pubkey', 'pubkey');
+                    articles.createIndex('categories', 'categories', { multiEntry: true });
+                    articles.createIndex('created_at', 'created_at');
+                    // Newest kind-0 event per pubkey.
+                    db.createObjectStore('profiles', { keyPath: 'pubkey' });
+                    // Event ids relays returned for a list query, e.g. recent changes.
+                    db.createObjectStore('queries', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs fn(tx) in a transaction and resolves with its result once the
+     * transaction has completed, or with `fallback` if anything fails.
+     */
+    async function run(storeNames, mode, fn, fallback) {
+        try {
+            const db = await openDb();
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, mode);
+                let result;
+                Promise.resolve(fn(tx)).then(value => { result = value; }, reject);
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } catch (e) {
+            console.warn("Offline cache unavailable:", e);
+            return fallback;
+        }
+    }
+
+    function articleRecord(event, relay) {
+        return {
+            id: event.id,
+            event,
+            relay: relay || null,
+            address: articleCoordinate(event),
+            topic: normalizeTopic(articleTopic(event)),
+            pubkey: event.pubkey,
+            categories: articleCategories(event),
+            created_at: event.created_at,
+        };
+    }
+
+    function articlesFrom(index, query) {
+        return requestResult(index.getAll(query)).then(records => records.map(record => record.event));
+    }
+
+    return {
+        /**
+         * Stores article events and kind-0 profiles. Takes [event, relayUrl] pairs.
+         */
+        put(entries) {
+            return run(['articles', 'profiles'], 'readwrite', tx => {
+                const articles = tx.objectStore('articles');
+                const profileStore = tx.objectStore('profiles');
+                entries.forEach(([event, relay]) => {
+                    if (event.kind === ARTICLE_KIND) {
+                        articles.put(articleRecord(event, relay));
+                    } else if (event.kind === 0) {
+                        requestResult(profileStore.get(event.pubkey)).then(existing => {
+                            if (!existing || existing.event.created_at < event.created_at) profileStore.put({ pubkey: event.pubkey, event });
+                        });
+                    }
+                });
+            });
+        },
+
+        getArticle(id) {
+            return run('articles', 'readonly', tx => requestResult(tx.objectStore('articles').get(id)), null)
+                .then(record => record ? record.event : null);
+        },
+        getArticlesByTopic(topic) {
+            return run('articles', 'readonly', tx => articlesFrom(tx.objectStore('articles').index('topic'), normalizeTopic(topic)), []);
+        },
+        getArticlesByAddress(address) {
+            return run('articles', 'readonly', tx => articlesFrom(tx.objectStore('articles').index('address'), address), []);
+        },
+        getArticlesByAuthor(pubkey) {
+            return run('articles', 'readonly', tx => articlesFrom(tx.objectStore('articles').index('pubkey'), pubkey), []);
+        },
+        getAllArticles() {
+            return run('articles', 'readonly', tx => articlesFrom(tx.objectStore('articles')), []);
+        },
+        getArticlesByCategory(category) {
+            return run('articles', 'readonly', tx => articlesFrom(tx.objectStore('articles').index('categories'), normalizeCategory(category)), []);
+        },
+
+        getProfile(pubkey) {
+            return run('profiles', 'readonly', tx => requestResult(tx.objectStore('profiles').get(pubkey)), null)
+                .then(record => record ? record.event : null);
+        },
+
+        /**
+         * Remembers which events relays returned for a list query.
+         */
+        putQuery(key, ids) {
+            return run('queries', 'readwrite', tx => {
+                tx.objectStore('queries').put({ key, ids, updated: Date.now() });
+            });
+        },
+        /**
+         * Returns the cached events of a list query, newest first.
+         */
+        getQuery(key) {
+            return run(['queries', 'articles'], 'readonly', async tx => {
+                const query = await requestResult(tx.objectStore('queries').get(key));
+                if (!query) return [];
+                const articles = tx.objectStore('articles');
+                const records = await Promise.all(query.ids.map(id => requestResult(articles.get(id))));
+                return records.filter(Boolean).map(record => record.event).sort((a, b) => b.created_at - a.created_at);
+            }, []);
+        },
+
+        /**
+         * Returns the number of records per store and, where the browser
+         * reports it, the storage used by this origin in bytes.
+         */
+        async stats() {
+            const counts = await run(STORES, 'readonly', tx => Promise.all(STORES.map(name => requestResult(tx.objectStore(name).count()))), null);
+            let usage = null;
+            if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+                usage = (await navigator.storage.estimate()).usage;
+            }
+            return { articles: counts ? counts[0] : 0, profiles: counts ? counts[1] : 0, queries: counts ? counts[2] : 0, usage };
+        },
+
+        clear() {
+            return run(STORES, 'readwrite', tx => STORES.forEach(name => tx.objectStore(name).clear()));
+        },
+    };
+})();
+
+// Writes are batched so that a burst of events costs one transaction.
+function cacheEvent(event, relayUrl) {
+    if (event.kind !== ARTICLE_KIND && event.kind !== 0) return;
+    pendingCacheWrites.push([event, relayUrl]);
+    if (!cacheWriteTimer) {
+        cacheWriteTimer = setTimeout(() => {
+            const entries = pendingCacheWrites;
+            pendingCacheWrites = [];
+            cacheWriteTimer = null;
+            offlineCache.put(entries);
+        }, 500);
+    }
+}
+
+/**
+ * Marks a subscription's results to be saved under `key` at EOSE, for
+ * rendering the same list from cache next time.
+ */
+function rememberQuery(subId, key) {
+    cachedQueries[subId] = { key, ids: new Set() };
+}
+
+/**
+ * Loads events from the cache. They were verified before being stored.
+ */
+function trustCachedEvents(events) {
+    events.forEach(event => verifiedEventIds.set(event.id, event.sig));
+    return events;
+}
+
+async function loadCachedArticle(pointer) {
+    let events = [];
+    if (pointer.type === 'address') events = await offlineCache.getArticlesByAddress(`${pointer.kind}:${pointer.pubkey}:${pointer.identifier}`);
+    else if (pointer.type === 'event') events = [await offlineCache.getArticle(pointer.id)].filter(Boolean);
+    const event = events.sort((a, b) => b.created_at - a.created_at)[0];
+    if (!event || event.kind !== ARTICLE_KIND) return;
+    // Same as receiveArticleVersion for an id route, minus the subscription.
+    articleView.topic = articleTopic(event);
+    articleView.selected = articleCoordinate(event);
+    await loadCachedTopic(articleView.topic);
+    storeArticleVersion(event);
+    refreshArticleView();
+}
+
+async function loadCachedTopic(topic) {
+    trustCachedEvents(await offlineCache.getArticlesByTopic(topic)).forEach(event => storeArticleVersion(event));
+    refreshArticleView();
+}
+
+/**
+ * Takes over an article the server pre-rendered. Its event is embedded in the
+ * page; once verified it is treated like a cached version, and relays take it
+ * from there. An embedded event that is not the one the URL asks for, e.g. in
+ * a page cached for another article, is ignored.
+ */
+function hydratePrerenderedArticle(params) {
+    const dataEl = document.getElementById('prerendered-article');
+    if (!dataEl) return;
+    let data;
+    try {
+        data = JSON.parse(dataEl.textContent);
+    } catch (e) {
+        return;
+    }
+    const event = data && data.event;
+    if (!event || event.kind !== ARTICLE_KIND) return;
+    const pointer = parseNostrIdentifier(params.get('id') || '');
+    const matches = params.get('d')
+        ? normalizeTopic(articleTopic(event)) === normalizeTopic(params.get('d'))
+        : pointer && pointer.type !== 'profile' && embedMatches(pointer, event);
+    if (!matches || !isVerifiedEvent(event)) return;
+    if (data.relay && !eventRelays[event.id]) eventRelays[event.id] = data.relay;
+    cacheEvent(event, data.relay);
+    if (!articleView.topic) {
+        articleView.topic = articleTopic(event);
+        articleView.selected = articleCoordinate(event);
+    }
+    storeArticleVersion(event);
+    refreshArticleView();
+}
+
+function renderCachedPreviews(events, containerId) {
+    trustCachedEvents(events).filter(event => passesModeration('recent-articles', event, null)).forEach(event => renderArticlePreview(event, containerId));
+}
+
+/**
+ * Renders whatever the cache has for the current page, before any relay
+ * connects. Relay results then update the page as usual.
+ */
+async function loadCachedPage() {
+    const path = window.location.pathname;
+    const params = new URLSearchParams(window.location.search);
+
+    if (path.endsWith('/') || path.endsWith('/index.html') || path.endsWith('/recent.html')) {
+        if (!recentFilters(params)) renderCachedPreviews(await offlineCache.getQuery('recent'), 'recent-articles-container');
+        if (!path.endsWith('/recent.html')) {
+            trustCachedEvents(await offlineCache.getAllArticles()).forEach(event => categoryIndex.add(event));
+            renderCategories();
+        }
+    } else if (path.endsWith('/random') || path.endsWith('/random.html')) {
+        await loadRandomCandidates(params);
+    } else if (path.endsWith('/categories.html')) {
+        categoryView.category = params.get('c');
+        categoryView.page = Number(params.get('page')) || 1;
+        trustCachedEvents(await offlineCache.getAllArticles()).forEach(event => categoryIndex.add(event));
+        renderCategories();
+    } else if (path.endsWith('/article.html')) {
+        const pointer = parseNostrIdentifier(params.get('rev') || params.get('id') || '');
+        if (params.get('rev')) {
+            const event = pointer && pointer.type === 'event' ? await offlineCache.getArticle(pointer.id) : null;
+            if (event) renderRevision(trustCachedEvents([event])[0]);
+        } else if (params.get('d')) {
+            articleView.topic = params.get('d');
+            await loadCachedTopic(articleView.topic);
+        } else if (pointer && pointer.type !== 'profile') {
+            await loadCachedArticle(pointer);
+        }
+        if (!params.get('rev')) hydratePrerenderedArticle(params);
+    } else if (path.endsWith('/search.html')) {
+        if (params.get('q')) {
+            // Everything in the cache is searchable before any relay answers.
+            trustCachedEvents(await offlineCache.getAllArticles()).forEach(event => searchIndex.add(event));
+            searchState.query = params.get('q');
+            renderSearchResults();
+        }
+    } else if (path.endsWith('/history.html') && params.get('d')) {
+        trustCachedEvents(await offlineCache.getArticlesByTopic(params.get('d'))).forEach(receiveHistoryRevision);
+    } else if (path.endsWith('/author.html')) {
+        const pubkey = authorPubkey(params.get('pubkey') || '');
+        if (!pubkey) return;
+        authorPage = { pubkey, articles: {} };
+        trustCachedEvents(await offlineCache.getArticlesByAuthor(pubkey)).forEach(receiveAuthorArticle);
+    }
+}
+
+function updateCacheInfo() {
+    const infoEl = document.getElementById('cache-info');
+    if (!infoEl) return;
+    offlineCache.stats().then(stats => {
+        const usage = stats.usage !== null ? ` About ${(stats.usage / (1024 * 1024)).toFixed(1)} MB of storage in use.` : '';
+        infoEl.textContent = `${stats.articles} article revisions, ${stats.profiles} profiles and ${stats.queries} saved lists cached for offline reading.${usage}`;
+    });
+}
+
+async function clearOfflineCache() {
+    await offlineCache.clear();
+    if (typeof caches !== 'undefined') {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('nostipedia-')).map(name => caches.delete(name)));
+    }
+    updateCacheInfo();
+}
+
+// --- Core Functions ---
+
+/**
+ * Creates the relay pool without connecting it. Subscriptions made before
+ * connectToRelays, e.g. while rendering a cached page, are kept by the pool
+ * and sent once each relay opens.
+ */
+function createPool() {
+    if (pool) return;
+    pool = createRelayPool({
+        verifyEvent: isVerifiedEvent,
+        onEvent: (subId, event, url) => handleNostrEvent('EVENT', subId, event, url),
+        onEose: (subId, url) => handleNostrEvent('EOSE', subId, null, url),
+        onOk: handleRelayOk,
+        onNotice: handleRelayNotice,
+        onStatusChange: handleRelayStatusChange,
+        maxTemporary: MAX_TEMPORARY_RELAYS,
+        idleTimeout: TEMPORARY_RELAY_IDLE,
+    });
+}
+
+/**
+ * Connects to the configured Nostr relays. Resolves once the first relay is
+ * open, or after a few seconds if none is; the others join as they connect.
+ */
+function connectToRelays() {
+    return new Promise((resolve) => {
+        createPool();
+
+        console.log("Connecting to relays...", relays);
+        const errorDiv = document.getElementById('connection-error');
+        if(errorDiv) errorDiv.style.display = 'none'; // Hide previous errors
+
+        if (relays.length === 0) {
+            console.warn("No relays configured.");
+            pool.connect([]);
+            if(connectLink) connectLink.textContent = "No Relays";
+            return resolve();
+        }
+
+        if(connectLink) connectLink.textContent = "Connecting...";
+        connectionWaiters.push(resolve);
+        pool.connect(relays);
+        handleRelayStatusChange();
+
+        // After attempting connections, check if all failed, which likely indicates a blocker.
+        setTimeout(() => {
+            if (!pool.isConnected() && pool.status().some(relay => relay.lastError)) {
+                if (errorDiv) {
+                    errorDiv.innerHTML = '<strong>Connection Failed.</strong> Could not connect to any relays. This is often caused by a browser extension (like an ad-blocker or Brave Shields) blocking the connection. Please try disabling it for this site.';
+                    errorDiv.style.display = 'block';
+                    if (connectLink) connectLink.textContent = "Connection Blocked";
+                }
+            }
+            // In any case, resolve the promise so the app doesn't hang.
+            resolve();
+        }, 2500);
+    });
+}
+
+function handleRelayStatusChange() {
+    if (!pool || !pool.isConnected()) {
+        if (connectLink && connectLink.textContent === 'Connected') connectLink.textContent = 'Connect';
+        return;
+    }
+    if (connectLink) connectLink.textContent = 'Connected';
+    connectionWaiters.splice(0).forEach(resolve => resolve());
+}
+
+/**
+ * Validates an event for the pool. The id is always recomputed, since a relay
+ * could pair a known id and signature with different content; only the
+ * signature check is remembered.
+ */
+function isVerifiedEvent(event) {
+    if (!checkEventId(event)) return false;
+    if (verifiedEventIds.get(event.id) === event.sig) return true;
+    if (!verifyEvent(event)) return false;
+    verifiedEventIds.set(event.id, event.sig);
+    return true;
+}
+
+/**
+ * Handles incoming events from relays.
+ * @param {string} relayUrl The relay the message came from, used as a relay hint.
+ */
+function handleNostrEvent(type, subId, data, relayUrl) {
+    // Later pages of a paged list arrive on `<name>-more`; after the paging
+    // bookkeeping they are handled like the first page.
+    const listName = pagedListName(subId);
+    if (listName) {
+        if (type === 'EVENT' && !receivePagedEvent(listName, subId, data, relayUrl)) return;
+        if (type === 'EOSE') pagedListEose(listName, subId, relayUrl);
+        subId = listName;
+    }
+
+    if (type === 'EVENT') {
+        cacheEvent(data, relayUrl);
+        if (cachedQueries[subId]) cachedQueries[subId].ids.add(data.id);
+        if (!receivedEvents[subId]) {
+            receivedEvents[subId] = 0;
+        }
+        receivedEvents[subId]++;
+
+        // console.log(`Received event for sub ${subId}:`, data);
+        if (passesModeration(subId, data, relayUrl)) routeEvent(subId, data, relayUrl);
+    } else if (type === 'EOSE') {
+        console.log(`Received EOSE for sub ${subId}`);
+        if (cachedQueries[subId]) offlineCache.putQuery(cachedQueries[subId].key, [...cachedQueries[subId].ids]);
+        if (subId.startsWith('article-')) prepareVersionRanking();
+        if (subId === 'history-revisions' || subId === 'history-forks') fetchHistoryForks();
+        if (subId.startsWith('wikilinks-')) markRedLinks(subId);
+        if (subId === 'what-links-here') renderBacklinks();
+        if (subId === 'category-scan') {
+            categoryView.loaded = true;
+            if (categoryView.category) fetchArticlesByCategory(categoryView.category);
+            renderCategories();
+        }
+        if (subId === 'search-nip50' || subId === 'search-scan') renderSearchResults();
+        if (subId === 'random-scan') randomScanEose(relayUrl);
+        if (subId === 'hourly-edits') renderHourlyEdits();
+        if (subId === 'talk-comments') renderTalk();
+        if (subId.startsWith('trust-contacts-')) trustContactsEose(subId);
+        if (subId.startsWith('relay-lists-')) relayListsEose(subId);
+        // If a subscription ends and we haven't received any events for it, update the UI.
+        if (!receivedEvents[subId]) {
+             if (subId === 'recent-articles') {
+                const container = document.getElementById('recent-articles-container');
+                if (container && !container.querySelector('.article-preview')) container.innerHTML = '<p>No recent articles found on the connected relays.</p>';
+            } else if (subId === 'history-revisions') {
+                const container = document.getElementById('history-container');
+                if (container && container.querySelector('p')) container.innerHTML = '<p>No revisions of this topic were found on the connected relays.</p>';
+            } else if (subId === 'author-articles') {
+                const container = document.getElementById('author-articles-container');
+                if (container && container.querySelector('p')) container.innerHTML = '<p>This author has not published any articles on the connected relays.</p>';
+            }
+        }
+    }
+}
+
+/**
+ * Hands an event to the code that renders its subscription.
+ */
+function routeEvent(subId, data, relayUrl) {
+    if (subId === 'recent-articles') {
+        renderArticlePreview(data, 'recent-articles-container');
+    } else if (subId.startsWith('article-')) {
+        receiveArticleVersion(data, relayUrl);
+    } else if (subId.startsWith('revision-')) {
+        renderRevision(data, relayUrl);
+    } else if (subId === 'history-revisions' || subId === 'history-forks') {
+        receiveHistoryRevision(data);
+    } else if (subId.startsWith('wikilinks-')) {
+        receiveWikilinkTopic(data);
+    } else if (subId.startsWith('profiles-')) {
+        receiveProfile(data);
+    } else if (subId === 'author-articles') {
+        receiveAuthorArticle(data);
+    } else if (subId === 'nostr-embeds') {
+        receiveNostrEmbed(data);
+    } else if (subId === 'what-links-here') {
+        receiveBacklink(data);
+    } else if (subId === 'editor-source') {
+        receiveEditorSource(data, relayUrl);
+    } else if (subId === 'version-reactions') {
+        receiveVersionReaction(data);
+    } else if (subId === 'reader-contacts') {
+        receiveReaderContacts(data);
+    } else if (subId.startsWith('relay-lists-')) {
+        receiveRelayList(data);
+    } else if (subId === 'moderation-mutes') {
+        receiveMuteList(data);
+    } else if (subId === 'moderation-contacts') {
+        receiveModerationContacts(data);
+    } else if (subId.startsWith('moderation-reports-')) {
+        receiveReport(data);
+    } else if (subId.startsWith('trust-contacts-')) {
+        receiveTrustContacts(data);
+    } else if (subId === 'talk-comments') {
+        receiveTalkComment(data, relayUrl);
+    } else if (subId === 'hourly-edits') {
+        receiveHourlyEdit(data);
+    } else if (subId === 'random-scan') {
+        addRandomCandidate(data);
+    } else if (subId === 'category-scan' || subId === 'category-articles') {
+        receiveCategoryArticle(data);
+    } else if (subId === 'search-nip50' || subId === 'search-scan') {
+        receiveSearchResult(data, subId);
+    } else if (subId.startsWith('compare-pane-1-')) {
+        receiveComparePane(data, 'pane-1');
+    } else if (subId.startsWith('compare-pane-2-')) {
+        receiveComparePane(data, 'pane-2');
+    }
+}
+
+/**
+ * Records a relay's OK answer to an event we published.
+ */
+function handleRelayOk(relayUrl, eventId, accepted, message) {
+    const pending = pendingPublishes[eventId];
+    if (!pending || !pending.results[relayUrl]) return;
+    pending.results[relayUrl] = { status: accepted ? 'ok' : 'error', message: message || '' };
+    pending.update();
+}
+
+function handleRelayNotice(relayUrl, message) {
+    console.warn(`NOTICE from ${relayUrl}:`, message);
+    // Relays often explain a rejected EVENT with a NOTICE instead of an OK.
+    Object.values(pendingPublishes).forEach(pending => {
+        const result = pending.results[relayUrl];
+        if (result && result.status === 'pending') {
+            result.message = message;
+            pending.update();
+        }
+    });
+}
+
+/**
+ * Sends an event to every configured relay and collects their OK answers.
+ * @param {object} event A signed event.
+ * @param {function} onUpdate Called with the results whenever one changes.
+ * @returns {Promise<object>} Results per relay URL: { status, message }, where
+ *   status is 'ok', 'error' or 'not connected'.
+ */
+function publishEvent(event, onUpdate = () => {}, timeout = 10000) {
+    return new Promise(resolve => {
+        const results = {};
+        let timer = null;
+        const finish = () => {
+            clearTimeout(timer);
+            delete pendingPublishes[event.id];
+            resolve(results);
+        };
+        const update = () => {
+            onUpdate(results);
+            if (Object.values(results).every(result => result.status !== 'pending')) finish();
+        };
+
+        pendingPublishes[event.id] = { results, update };
+        relays.map(normalizeRelayUrl).forEach(url => {
+            results[url] = pool && pool.send(url, ['EVENT', event])
+                ? { status: 'pending', message: '' }
+                : { status: 'not connected', message: '' };
+        });
+        timer = setTimeout(() => {
+            Object.values(results).forEach(result => {
+                if (result.status === 'pending') {
+                    result.status = 'error';
+                    result.message = result.message || 'No response from relay';
+                }
+            });
+            update();
+        }, timeout);
+        update();
+    });
+}
+
+/**
+ * Subscribes to a filter, or an array of filters, on all relays.
+ * @param {object} [options] See the pool's subscribe(); pass
+ *   `{ closeOnEose: true }` for one-off queries that need no live updates.
+ * @returns {boolean} False if there is no relay pool to subscribe on.
+ */
+function subscribe(filters, subId, options = {}) {
+    if (!pool) {
+        console.warn("Not connected to relays. Cannot subscribe.");
+        return false;
+    }
+    // Reset the event counter for this subscription
+    receivedEvents[subId] = 0;
+    const list = Array.isArray(filters) ? filters : [filters];
+    const { hints = [], ...poolOptions } = options;
+    const targets = poolOptions.relays || routeSubscription(subId, list, hints);
+    if (targets) poolOptions.relays = connectRelays(targets);
+    console.log("Sending subscription:", subId, list);
+    pool.subscribe(subId, list, poolOptions);
+    return true;
+}
+
+/**
+ * Closes a subscription the page no longer needs.
+ */
+function unsubscribe(subId) {
+    routedSubscriptions.delete(subId);
+    if (pool) pool.unsubscribe(subId);
+}
+
+// --- Outbox Routing ---
+// The configured relays are not the only place articles live: authors
+// announce where they publish in NIP-65 relay lists (kind 10002) and, for
+// wiki articles, kind-10102 relay lists. Queries scoped to authors go to those
+// relays, which the pool opens as temporary connections, and identifiers can
+// carry relay hints. Everything else still goes to the configured relays.
+
+function loadAuthorRelayLists() {
+    authorRelayLists = JSON.parse(localStorage.getItem('nostipedia_relay_lists') || '{}');
+}
+
+function saveAuthorRelayLists() {
+    // Keep the most recently checked lists; localStorage is small.
+    const entries = Object.entries(authorRelayLists).sort((a, b) => b[1].checked - a[1].checked).slice(0, 1000);
+    localStorage.setItem('nostipedia_relay_lists', JSON.stringify(Object.fromEntries(entries)));
+}
+
+function validRelayUrl(url) {
+    if (typeof url !== 'string' || !/^wss:\/\//i.test(url.trim())) return null;
+    try {
+        return normalizeRelayUrl(url.trim());
+    } catch (e) {
+        return null;
+    }
+}
+
+function isConfiguredRelay(url) {
+    return relays.some(configured => normalizeRelayUrl(configured) === url);
+}
+
+/**
+ * Returns the relays to query for an author's events: their write relays
+ * and wiki relays.
+ */
+function authorWriteRelays(pubkey) {
+    const list = authorRelayLists[pubkey];
+    return list ? [...new Set([...list.write, ...list.wiki])] : [];
+}
+
+/**
+ * Picks few relays that together cover every author OUTBOX_RELAYS_PER_AUTHOR
+ * times, preferring relays that are already connected.
+ */
+function selectOutboxRelays(authors) {
+    const candidates = new Map(); // URL -> authors writing there
+    authors.forEach(pubkey => authorWriteRelays(pubkey).forEach(url => {
+        if (!candidates.has(url)) candidates.set(url, new Set());
+        candidates.get(url).add(pubkey);
+    }));
+    const connected = new Set((pool ? pool.status() : []).filter(status => status.state === 'open').map(status => status.url));
+    const ranked = [...candidates].sort(([a, x], [b, y]) => connected.has(b) - connected.has(a) || y.size - x.size);
+    const coverage = new Map();
+    const selected = [];
+    ranked.forEach(([url, pubkeys]) => {
+        if (![...pubkeys].some(pubkey => (coverage.get(pubkey) || 0) < OUTBOX_RELAYS_PER_AUTHOR)) return;
+        selected.push(url);
+        pubkeys.forEach(pubkey => coverage.set(pubkey, (coverage.get(pubkey) || 0) + 1));
+    });
+    return selected;
+}
+
+/**
+ * Chooses the relays for a subscription. Returns null to use every configured
+ * relay, as for queries that are not scoped to authors and carry no hints.
+ * Authors without a known relay list are also looked for on the configured
+ * relays, and the subscription is extended once their lists arrive.
+ */
+function routeSubscription(subId, filters, hints) {
+    const authors = filters.every(filter => filter.authors && filter.authors.length)
+        ? [...new Set(filters.flatMap(filter => filter.authors))]
+        : [];
+    const hinted = hints.map(validRelayUrl).filter(Boolean);
+    routedSubscriptions.delete(subId);
+    if (authors.length === 0 && hinted.length === 0) return null;
+
+    const targets = new Set([...hinted, ...selectOutboxRelays(authors)]);
+    const uncovered = authors.filter(pubkey => authorWriteRelays(pubkey).length === 0);
+    if (authors.length === 0 || uncovered.length) relays.forEach(url => targets.add(normalizeRelayUrl(url)));
+    const unknown = uncovered.filter(pubkey => !authorRelayLists[pubkey]);
+    if (unknown.length) {
+        routedSubscriptions.set(subId, new Set(unknown));
+        requestRelayLists(unknown);
+    }
+    return [...targets];
+}
+
+/**
+ * Opens temporary connections for relays that are not configured. Returns
+ * the relays that can be used; the rest are over the connection cap or
+ * failed recently.
+ */
+function connectRelays(urls) {
+    return urls.map(normalizeRelayUrl).filter(url => isConfiguredRelay(url) || pool.addTemporary(url));
+}
+
+function requestRelayLists(pubkeys) {
+    const day = 24 * 60 * 60 * 1000;
+    pubkeys.forEach(pubkey => {
+        const known = authorRelayLists[pubkey];
+        if (requestedRelayLists.has(pubkey) || (known && Date.now() - known.checked < day)) return;
+        requestedRelayLists.add(pubkey);
+        pendingRelayLists.add(pubkey);
+    });
+    if (pendingRelayLists.size && !relayListBatchTimer) relayListBatchTimer = setTimeout(flushRelayListRequests, 100);
+}
+
+function flushRelayListRequests() {
+    relayListBatchTimer = null;
+    const authors = [...pendingRelayLists];
+    pendingRelayLists.clear();
+    const targets = [...new Set([...relays, ...RELAY_LIST_INDEXERS].map(normalizeRelayUrl))];
+    for (let i = 0; i < authors.length; i += 100) {
+        const subId = `relay-lists-${relayListBatchCount++}`;
+        relayListQueries[subId] = authors.slice(i, i + 100);
+        subscribe({ kinds: [RELAY_LIST_KIND, WIKI_RELAYS_KIND], authors: relayListQueries[subId] }, subId, { closeOnEose: true, relays: targets });
+    }
+}
+
+function receiveRelayList(event) {
+    if (event.kind !== RELAY_LIST_KIND && event.kind !== WIKI_RELAYS_KIND) return;
+    const list = authorRelayLists[event.pubkey] || { write: [], wiki: [], relayListAt: 0, wikiListAt: 0 };
+    if (event.kind === RELAY_LIST_KIND) {
+        if (event.created_at <= list.relayListAt) return;
+        // Relays marked "read" are where the author reads, not publishes.
+        list.write = event.tags.filter(t => t[0] === 'r' && t[2] !== 'read').map(t => validRelayUrl(t[1])).filter(Boolean);
+        list.relayListAt = event.created_at;
+    } else {
+        if (event.created_at <= list.wikiListAt) return;
+        list.wiki = event.tags.filter(t => t[0] === 'relay').map(t => validRelayUrl(t[1])).filter(Boolean);
+        list.wikiListAt = event.created_at;
+    }
+    list.checked = Date.now();
+    authorRelayLists[event.pubkey] = list;
+    saveAuthorRelayLists();
+    extendRoutedSubscriptions(event.pubkey);
+}
+
+/**
+ * Authors that have no relay lists are remembered as such, so they are not
+ * asked for again until tomorrow.
+ */
+function relayListsEose(subId) {
+    (relayListQueries[subId] || []).forEach(pubkey => {
+        if (!authorRelayLists[pubkey]) authorRelayLists[pubkey] = { write: [], wiki: [], relayListAt: 0, wikiListAt: 0, checked: Date.now() };
+    });
+    delete relayListQueries[subId];
+    saveAuthorRelayLists();
+}
+
+/**
+ * Sends open subscriptions that were waiting for an author's relay list to
+ * that author's write relays.
+ */
+function extendRoutedSubscriptions(pubkey) {
+    routedSubscriptions.forEach((waiting, subId) => {
+        if (!waiting.delete(pubkey)) return;
+        if (waiting.size === 0) routedSubscriptions.delete(subId);
+        const urls = connectRelays(selectOutboxRelays([pubkey]));
+        if (urls.length) pool.extend(subId, urls);
+    });
+}
+
+
+// --- Paged Lists ---
+// Long lists load a page at a time with `until` cursors. Every relay has its
+// own cursor, the oldest created_at it has returned; the next page starts at
+// the newest of those, so a relay that already went further back cannot make
+// the list skip another relay's events. Later pages arrive on `<name>-more`
+// and are deduplicated by event id. A relay that returns less than a full
+// page has nothing older and is not asked again.
+
+/**
+ * Starts (or restarts) a paged list and loads its first page.
+ * @param {string} name Subscription id of the first page.
+ * @param {object} filter Nostr filter without `limit` and `until`.
+ * @param {object} [options]
+ * @param {boolean} [options.live] Keep the first page open for new events.
+ * @param {string[]} [options.relays] Only use these relays.
+ */
+function createPagedList(name, filter, pageSize, options = {}) {
+    const previous = pagedLists[name];
+    if (previous) {
+        clearTimeout(previous.timer);
+        unsubscribe(`${name}-more`);
+    }
+    pagedLists[name] = {
+        filter,
+        pageSize,
+        live: !!options.live,
+        relays: (options.relays || routeSubscription(name, [filter], []) || relays).map(normalizeRelayUrl),
+        cursors: {}, // Per relay: { oldest, count, exhausted }
+        ids: new Set(),
+        pageSubId: null,
+        waiting: new Set(),
+        lastUntil: null,
+        loading: false,
+        done: false,
+        timer: null,
+    };
+    loadNextPage(name);
+}
+
+function pagedListName(subId) {
+    const name = subId.endsWith('-more') ? subId.slice(0, -5) : subId;
+    return pagedLists[name] ? name : null;
+}
+
+function loadNextPage(name) {
+    const list = pagedLists[name];
+    if (!list || list.loading || list.done) return;
+    const active = list.relays.filter(url => !(list.cursors[url] && list.cursors[url].exhausted));
+    if (active.length === 0) {
+        list.done = true;
+        updateLoadMore(name);
+        return;
+    }
+
+    const filter = { ...list.filter, limit: list.pageSize };
+    const firstPage = list.pageSubId === null;
+    if (!firstPage) {
+        const cursors = active.map(url => list.cursors[url] && list.cursors[url].oldest).filter(Number.isInteger);
+        let until = cursors.length ? Math.max(...cursors) : Math.floor(Date.now() / 1000);
+        // `until` is inclusive; step past a second that filled a whole page.
+        if (until === list.lastUntil) until--;
+        list.lastUntil = until;
+        filter.until = until;
+    }
+    active.forEach(url => {
+        list.cursors[url] = { oldest: null, exhausted: false, ...list.cursors[url], count: 0 };
+    });
+    list.pageSubId = firstPage ? name : `${name}-more`;
+    list.waiting = new Set(active);
+    list.loading = true;
+    subscribe(filter, list.pageSubId, { relays: active, closeOnEose: !(firstPage && list.live) });
+    // Relays that never answer must not block the list forever.
+    list.timer = setTimeout(() => finishPage(name), 10000);
+    updateLoadMore(name);
+}
+
+/**
+ * Updates cursors for an event of a paged list.
+ * @returns {boolean} False if the event was already in the list.
+ */
+function receivePagedEvent(name, subId, event, relayUrl) {
+    const list = pagedLists[name];
+    const cursor = list.cursors[relayUrl];
+    // Live events on the first page, after its EOSE, do not move the cursors.
+    if (cursor && subId === list.pageSubId && list.waiting.has(relayUrl)) {
+        cursor.count++;
+        if (cursor.oldest === null || event.created_at < cursor.oldest) cursor.oldest = event.created_at;
+    }
+    if (list.ids.has(event.id)) return false;
+    list.ids.add(event.id);
+    return true;
+}
+
+function pagedListEose(name, subId, relayUrl) {
+    const list = pagedLists[name];
+    if (subId !== list.pageSubId || !list.waiting.has(relayUrl)) return;
+    list.waiting.delete(relayUrl);
+    if (list.cursors[relayUrl].count < list.pageSize) list.cursors[relayUrl].exhausted = true;
+    if (list.waiting.size === 0) finishPage(name);
+}
+
+function finishPage(name) {
+    const list = pagedLists[name];
+    if (!list || !list.loading) return;
+    clearTimeout(list.timer);
+    list.loading = false;
+    list.waiting = new Set();
+    list.done = list.relays.every(url => list.cursors[url] && list.cursors[url].exhausted);
+    updateLoadMore(name);
+}
+
+/**
+ * Updates the "Load more" controls of a list: `.load-more` elements whose
+ * `data-list` names it (one control may serve several lists). Controls with
+ * `data-infinite` also load the next page when scrolled into view.
+ */
+function updateLoadMore(name) {
+    document.querySelectorAll(`.load-more[data-list~="${name}"]`).forEach(el => {
+        const lists = el.dataset.list.split(' ').map(n => pagedLists[n]).filter(Boolean);
+        const loading = lists.some(list => list.loading);
+        const done = lists.every(list => list.done);
+        const button = el.querySelector('button');
+        const status = el.querySelector('.load-more-status');
+        if (button) {
+            button.disabled = loading;
+            button.textContent = loading ? 'Loading...' : 'Load more';
+            button.style.display = done ? 'none' : '';
+        }
+        if (status) status.textContent = done ? 'No more articles on the connected relays.' : '';
+        // Observing again reports the control at once if it is still in view.
+        if (loadMoreObserver && 'infinite' in el.dataset && !loading && !done) {
+            loadMoreObserver.unobserve(el);
+            loadMoreObserver.observe(el);
+        }
+    });
+}
+
+function loadMore(el) {
+    el.dataset.list.split(' ').forEach(loadNextPage);
+}
+
+function initializeLoadMore() {
+    if ('IntersectionObserver' in window) {
+        loadMoreObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) loadMore(entry.target);
+            });
+        }, { rootMargin: '200px' });
+    }
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.load-more button');
+        if (button) loadMore(button.closest('.load-more'));
+    });
+}
+
+// --- Article Renderer ---
+// Renders article content to HTML. NIP-54 specifies Asciidoc, but plenty of
+// articles on the network are written in Markdown, so the format is detected
+// per article. Relay content is untrusted: all source text is escaped while
+// rendering, and the result is filtered against an allowlist of tags,
+// attributes and URL schemes before it goes anywhere near innerHTML.
+const markup = (() => {
+    const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'nostr'];
+    const ALLOWED_TAGS = {
+        a: ['href', 'title', 'target', 'rel', 'data-topic', 'data-pubkey', 'data-nostr'],
+        img: ['src', 'alt', 'title', 'loading'],
+        ol: ['start'],
+        p: [], br: [], hr: [], div: [], span: [], nav: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        strong: [], em: [], mark: [], del: [], ins: [], sup: [], sub: [], code: [], pre: [],
+        blockquote: [], cite: [], figure: [], figcaption: [],
+        ul: [], li: [], dl: [], dt: [], dd: [],
+        table: [], caption: [], thead: [], tbody: [], tr: [], th: [], td: [],
+    };
+    const GLOBAL_ATTRS = ['id', 'class'];
+    const WIKILINK = /\[\[([^[\]|]+?)(?:\|([^[\]]+?))?\]\]/g;
+    const URL_ATTRS = ['href', 'src'];
+    const VOID_TAGS = ['br', 'hr', 'img'];
+    // Ids in article HTML get a prefix, so that a heading such as "Talk threads"
+    // cannot take the id of an element of the page around it.
+    const ID_PREFIX = 'section-';
+
+    // Escapes text for element content and double-quoted attributes. Single
+    // quotes are left alone so that `#` only ever comes from the source.
+    function escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function decodeEntities(text) {
+        return text
+            .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&quot;/g, '"')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Returns true if an (escaped) URL is relative or uses an allowed scheme.
+     * Browsers ignore control characters and whitespace inside a scheme, so
+     * those are removed before checking.
+     */
+    function isSafeUrl(url) {
+        const compact = decodeEntities(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/);
+        return !scheme || SAFE_URL_SCHEMES.includes(scheme[1]);
+    }
+
+    function isExternalUrl(url) {
+        return /^(https?:)?\/\//i.test(url);
+    }
+
+    function stripTags(html) {
+        return html.replace(/<[^>]*>/g, '');
+    }
+
+    // --- Shared helpers for both formats ---
+
+    // Finished fragments of HTML are swapped out for placeholders so later
+    // inline rules cannot reach into them (e.g. a URL inside an href).
+    function protect(ctx, html) {
+        ctx.stash.push(html);
+        return `\u0000${ctx.stash.length - 1}\u0000`;
+    }
+    function restore(ctx, text) {
+        while (/\u0000\d+\u0000/.test(text)) {
+            text = text.replace(/\u0000(\d+)\u0000/g, (m, index) => ctx.stash[index]);
+        }
+        return text;
+    }
+
+    function link(ctx, href, labelHtml, title) {
+        if (!isSafeUrl(href)) return labelHtml;
+        const external = isExternalUrl(decodeEntities(href));
+        const attrs = `href="${href}"${title ? ` title="${title}"` : ''}${external ? ' target="_blank" rel="noopener noreferrer nofollow"' : ''}`;
+        return protect(ctx, `<a ${attrs}>`) + labelHtml + protect(ctx, '</a>');
+    }
+
+    function image(ctx, src, alt, title) {
+        if (!isSafeUrl(src)) return alt;
+        return protect(ctx, `<img src="${src}" alt="${alt || ''}"${title ? ` title="${title}"` : ''} loading="lazy">`);
+    }
+
+    /**
+     * Turns `[[Topic]]` and `[[Topic|label]]` into links to the topic. Whether
+     * the topic exists is only known once relays answer, so the page marks
+     * red links afterwards using the data-topic attribute.
+     */
+    function wikilinks(ctx, text) {
+        return text.replace(WIKILINK, (m, topic, label) => {
+            const target = decodeEntities(topic.trim());
+            const open = `<a href="${escapeText(topicLink(target))}" class="wikilink" data-topic="${escapeText(normalizeTopic(target))}">`;
+            return protect(ctx, open) + (label || topic).trim() + protect(ctx, '</a>');
+        });
+    }
+
+    /**
+     * Turns NIP-21 `nostr:` URIs into mentions (profiles) or embeds (events and
+     * addresses). The page fills in names and article cards afterwards.
+     */
+    function nostrReferences(ctx, text) {
+        return text.replace(/nostr:((?:npub|nprofile|note|nevent|naddr)1[02-9ac-hj-np-z]+)/g, (m, entity) => {
+            const pointer = parseNostrIdentifier(entity);
+            if (!pointer) return m;
+            if (pointer.type === 'profile') {
+                return protect(ctx, `<a href="${authorLink(pointer.pubkey)}" class="nostr-mention" data-pubkey="${pointer.pubkey}">@${shortNpub(pointer.pubkey)}</a>`);
+            }
+            return protect(ctx, `<a href="/article.html?id=${entity}" class="nostr-embed" data-nostr="${entity}">${entity.substring(0, 16)}…</a>`);
+        });
+    }
+
+    /**
+     * Lists the normalized topics a source links to with wikilinks.
+     */
+    function wikilinkTargets(source) {
+        const topics = new Set();
+        (source || '').replace(WIKILINK, (m, topic) => topics.add(normalizeTopic(topic)));
+        return [...topics];
+    }
+
+    function autolinkUrls(ctx, text) {
+        return text.replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]*[^\s<\u0000.,;:!?)'"])/g, (m, before, url) => before + protect(ctx, link(ctx, url, url)));
+    }
+
+    function slugify(ctx, html) {
+        const slug = decodeEntities(stripTags(html)).toLowerCase().trim()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+        let unique = `${ID_PREFIX}${slug}`;
+        for (let n = 2; ctx.ids.has(unique); n++) unique = `${ID_PREFIX}${slug}-${n}`;
+        ctx.ids.add(unique);
+        return unique;
+    }
+
+    function heading(ctx, level, innerHtml) {
+        level = Math.min(Math.max(level, 1), 6);
+        const id = slugify(ctx, innerHtml);
+        ctx.toc.push({ level, id, html: stripTags(innerHtml) });
+        return `<h${level} id="${id}">${innerHtml}</h${level}>`;
+    }
+
+    function codeBlock(code, language) {
+        const lang = (language || '').replace(/[^\w+#.-]/g, '');
+        return `<pre><code${lang ? ` class="language-${lang}"` : ''}>${escapeText(code)}</code></pre>`;
+    }
+
+    function table(ctx, rows, hasHeader, aligns, inline) {
+        const cell = (tag, text, col) => {
+            const align = aligns && aligns[col];
+            return `<${tag}${align ? ` class="align-${align}"` : ''}>${inline(text, ctx)}</${tag}>`;
+        };
+        const bodyRows = hasHeader ? rows.slice(1) : rows;
+        let html = '<table>';
+        if (hasHeader && rows.length) {
+            html += `<thead><tr>${rows[0].map((text, col) => cell('th', text, col)).join('')}</tr></thead>`;
+        }
+        html += `<tbody>${bodyRows.map(row => `<tr>${row.map((text, col) => cell('td', text, col)).join('')}</tr>`).join('')}</tbody>`;
+        return html + '</table>';
+    }
+
+    // --- Markdown ---
+
+    const MD_LIST_ITEM = /^(\s*)([*+-]|\d{1,9}[.)])(\s+|$)/;
+    const MD_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+    const MD_HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    const MD_RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+    const MD_QUOTE = /^ {0,3}>/;
+    const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    // A link destination in parentheses, which may itself contain one level of
+    // balanced parentheses (common in Wikipedia URLs), and an optional title.
+    const MD_DESTINATION = String.raw`\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)`;
+
+    function markdownInline(text, ctx) {
+        let s = escapeText(text);
+        s = s.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => protect(ctx, `<code>${code.trim()}</code>`));
+        s = s.replace(/\\([\\`*_{}[\]()#+\-.!|~])/g, (m, ch) => protect(ctx, ch));
+        s = wikilinks(ctx, s);
+        s = s.replace(new RegExp(`!\\[([^\\]]*)\\]${MD_DESTINATION}`, 'g'), (m, alt, src, title) => image(ctx, src, alt, title));
+        s = s.replace(new RegExp(`\\[([^\\]]+)\\]${MD_DESTINATION}`, 'g'), (m, label, href, title) => link(ctx, href, label, title));
+        s = s.replace(/&lt;((?:https?|mailto):[^\s]+?)&gt;/g, (m, url) => link(ctx, url, url));
+        s = nostrReferences(ctx, s);
+        s = autolinkUrls(ctx, s);
+        s = s.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>');
+        s = s.replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>');
+        s = s.replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?![\w_])/g, '$1<em>$2</em>');
+        s = s.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+        s = s.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+        return restore(ctx, s);
+    }
+
+    function isMarkdownBlockStart(line) {
+        return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) || MD_QUOTE.test(line) || MD_LIST_ITEM.test(line);
+    }
+
+    function leadingSpaces(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    function isOrderedMarker(marker) {
+        return /\d/.test(marker);
+    }
+
+    function parseMarkdownList(lines, start, ctx) {
+        const first = lines[start].match(MD_LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = isOrderedMarker(first[2]);
+        const items = [];
+        let contentIndent = 0;
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = line.match(MD_LIST_ITEM);
+            if (item && item[1].length === indent && isOrderedMarker(item[2]) === ordered) {
+                contentIndent = item[0].length;
+                items.push([line.slice(item[0].length)]);
+                i++;
+                continue;
+            }
+            if (!line.trim()) {
+                // A blank line only continues the list if more of it follows.
+                let j = i + 1;
+                while (j < lines.length && !lines[j].trim()) j++;
+                const next = lines[j];
+                const sibling = next && next.match(MD_LIST_ITEM);
+                if (next && (leadingSpaces(next) > indent || (sibling && sibling[1].length === indent && isOrderedMarker(sibling[2]) === ordered))) {
+                    loose = loose || !sibling || leadingSpaces(next) > indent;
+                    items[items.length - 1].push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (leadingSpaces(line) > indent) {
+                items[items.length - 1].push(line.replace(new RegExp(`^ {0,${contentIndent}}`), ''));
+                i++;
+                continue;
+            }
+            // Lazy continuation of the item's paragraph.
+            const previous = items[items.length - 1];
+            if (previous[previous.length - 1].trim() && !isMarkdownBlockStart(line)) {
+                previous.push(line);
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const itemsHtml = items.map(itemLines => {
+            while (itemLines.length && !itemLines[itemLines.length - 1].trim()) itemLines.pop();
+            let html = renderMarkdownBlocks(itemLines, ctx);
+            if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            return `<li>${html}</li>`;
+        }).join('');
+        return { html: `<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</${tag}>`, next: i };
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function renderMarkdownBlocks(lines, ctx) {
+        const out = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            let m = line.match(MD_FENCE);
+            if (m) {
+                const fence = m[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+                i++;
+                out.push(codeBlock(code.join('\n'), m[2]));
+                continue;
+            }
+
+            m = line.match(MD_HEADING);
+            if (m) {
+                out.push(heading(ctx, m[1].length, markdownInline(m[2] || '', ctx)));
+                i++;
+                continue;
+            }
+
+            if (MD_RULE.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (MD_QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() && (MD_QUOTE.test(lines[i]) || !isMarkdownBlockStart(lines[i]))) {
+                    quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                out.push(`<blockquote>${renderMarkdownBlocks(quoted, ctx)}</blockquote>`);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && MD_TABLE_SEPARATOR.test(lines[i + 1])) {
+                const aligns = splitTableRow(lines[i + 1]).map(cell => {
+                    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                    if (cell.endsWith(':')) return 'right';
+                    if (cell.startsWith(':')) return 'left';
+                    return null;
+                });
+                const rows = [splitTableRow(line)];
+                i += 2;
+                while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(splitTableRow(lines[i++]));
+                out.push(table(ctx, rows, true, aligns, markdownInline));
+                continue;
+            }
+
+            if (MD_LIST_ITEM.test(line) && line.trim().length > 1) {
+                const list = parseMarkdownList(lines, i, ctx);
+                out.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Setext headings: a single line underlined with === or ---.
+            if (i + 1 < lines.length && /^ {0,3}(=+|-+)\s*$/.test(lines[i + 1])) {
+                out.push(heading(ctx, lines[i + 1].trim()[0] === '=' ? 1 : 2, markdownInline(line.trim(), ctx)));
+                i += 2;
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isMarkdownBlockStart(lines[i]))) {
+                paragraph.push(lines[i++]);
+            }
+            out.push(`<p>${markdownInline(paragraph.join('\n').trim(), ctx)}</p>`);
+        }
+        return out.join('\n');
+    }
+
+    // --- Asciidoc ---
+
+    const ADOC_SECTION = /^(={1,6}|#{1,6})\s+(.+?)\s*$/;
+    const ADOC_LIST_ITEM = /^\s*(\*{1,5}|-|\.{1,5}|\d+\.)\s+(.*)$/;
+    const ADOC_DELIMITER = /^(-{4,}|\.{4,}|_{4,}|\*{4,}|={4,}|\+{4,}|\|={3,})\s*$/;
+    const ADOC_BLOCK_IMAGE = /^image::([^\s[]+)\[([^\]]*)\]\s*$/;
+    const ADOC_ADMONITION = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s+(.*)$/;
+    const ADOC_DESCRIPTION = /^(\S.*?)::(?:\s+(.*))?$/;
+
+    function asciidocInline(text, ctx) {
+        let s = escapeText(text);
+        s = s.replace(/`([^`]+)`/g, (m, code) => protect(ctx, `<code>${code}</code>`));
+        s = s.replace(/\+\+\+(.+?)\+\+\+/g, (m, text) => protect(ctx, text));
+        s = s.replace(/(^|[^\w+])\+([^+\s](?:[^+]*?[^+\s])?)\+(?![\w+])/g, (m, before, text) => before + protect(ctx, text));
+        s = wikilinks(ctx, s);
+        s = s.replace(/image:([^\s[:][^\s[]*)\[([^\]]*)\]/g, (m, src, alt) => image(ctx, src, alt));
+        s = s.replace(/link:([^\s[]+)\[([^\]]*)\]/g, (m, href, label) => link(ctx, href, label || href));
+        s = s.replace(/((?:https?|mailto):[^\s[\u0000]+)\[([^\]]*)\]/g, (m, href, label) => link(ctx, href, label || href));
+        s = s.replace(/&lt;&lt;([\w-]+)(?:,\s*(.*?))?&gt;&gt;/g, (m, id, label) => protect(ctx, `<a href="#${ID_PREFIX}${id}">`) + (label || id) + protect(ctx, '</a>'));
+        s = nostrReferences(ctx, s);
+        s = autolinkUrls(ctx, s);
+        s = s.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        s = s.replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<strong>$2</strong>');
+        s = s.replace(/__(.+?)__/g, '<em>$1</em>');
+        s = s.replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?![\w_])/g, '$1<em>$2</em>');
+        s = s.replace(/(^|[^\w#])#(?=\S)([^#]*?\S)#(?![\w#])/g, '$1<mark>$2</mark>');
+        s = s.replace(/\^(\S+?)\^/g, '<sup>$1</sup>');
+        s = s.replace(/~(\S+?)~/g, '<sub>$1</sub>');
+        s = s.replace(/ \+\n/g, '<br>\n');
+        return restore(ctx, s);
+    }
+
+    function isAsciidocBlockStart(line) {
+        return ADOC_SECTION.test(line) || ADOC_DELIMITER.test(line) || ADOC_LIST_ITEM.test(line) ||
+            ADOC_BLOCK_IMAGE.test(line) || /^\[[^\]]*\]\s*$/.test(line) || /^'{3,}\s*$/.test(line);
+    }
+
+    function parseAsciidocList(lines, start, ctx) {
+        const items = [];
+        let i = start;
+        while (i < lines.length) {
+            const line = lines[i];
+            const m = line.match(ADOC_LIST_ITEM);
+            if (m) {
+                items.push({ marker: /^\d/.test(m[1]) ? '.' : m[1], text: [m[2]] });
+                i++;
+                continue;
+            }
+            if (!line.trim()) {
+                let j = i + 1;
+                while (j < lines.length && !lines[j].trim()) j++;
+                if (j < lines.length && ADOC_LIST_ITEM.test(lines[j])) {
+                    i = j;
+                    continue;
+                }
+                break;
+            }
+            if (line.trim() === '+') {
+                // List continuation: the next paragraph belongs to this item.
+                items[items.length - 1].text.push('');
+                i++;
+                continue;
+            }
+            if (isAsciidocBlockStart(line)) break;
+            items[items.length - 1].text.push(line.trim());
+            i++;
+        }
+
+        // Nesting follows the marker: `*` then `**`, `.` then `..`, and a
+        // marker seen earlier in the stack closes the lists opened after it.
+        let html = '';
+        const stack = [];
+        items.forEach(item => {
+            const level = stack.findIndex(entry => entry.marker === item.marker);
+            if (level === -1) {
+                const tag = item.marker[0] === '.' ? 'ol' : 'ul';
+                stack.push({ marker: item.marker, tag });
+                html += `<${tag}><li>`;
+            } else {
+                while (stack.length - 1 > level) html += `</li></${stack.pop().tag}>`;
+                html += '</li><li>';
+            }
+            const paragraphs = item.text.join('\n').split(/\n\n/);
+            html += asciidocInline(paragraphs[0], ctx) + paragraphs.slice(1).map(p => `<p>${asciidocInline(p, ctx)}</p>`).join('');
+        });
+        while (stack.length) html += `</li></${stack.pop().tag}>`;
+        return { html, next: i };
+    }
+
+    function parseAsciidocTable(lines, attrs, ctx) {
+        const cells = [];
+        let columns = 0;
+        let headerRow = false;
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                if (index === 1 && cells.length === columns) headerRow = true;
+                return;
+            }
+            if (!line.trim().startsWith('|')) {
+                if (cells.length) cells[cells.length - 1] += ` ${line.trim()}`;
+                return;
+            }
+            const lineCells = line.trim().slice(1).split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+            if (index === 0) columns = lineCells.length;
+            cells.push(...lineCells);
+        });
+        const colsAttr = attrs.find(attr => attr.startsWith('cols='));
+        if (colsAttr) columns = colsAttr.replace(/^cols=|"/g, '').split(/[,;]/).length;
+        if (attrs.some(attr => /options=.*header/.test(attr) || attr === '%header')) headerRow = true;
+        columns = columns || 1;
+        const rows = [];
+        for (let c = 0; c < cells.length; c += columns) rows.push(cells.slice(c, c + columns));
+        return table(ctx, rows, headerRow, null, asciidocInline);
+    }
+
+    function renderAsciidocBlocks(lines, ctx) {
+        const out = [];
+        let attrs = [];
+        let title = null;
+        let i = 0;
+
+        // Block attributes and titles apply to the next block only.
+        const takeTitle = () => {
+            const html = title ? `<div class="block-title">${asciidocInline(title, ctx)}</div>` : '';
+            title = null;
+            attrs = [];
+            return html;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (/^\/{4,}\s*$/.test(line)) {
+                i++;
+                while (i < lines.length && !/^\/{4,}\s*$/.test(lines[i])) i++;
+                i++;
+                continue;
+            }
+            if (/^\/\//.test(line) || /^:[\w-]+!?:/.test(line)) {
+                i++;
+                continue;
+            }
+
+            let m = line.match(/^\[([^\]]*)\]\s*$/);
+            if (m && !line.startsWith('[[')) {
+                attrs = m[1].split(',').map(attr => attr.trim());
+                i++;
+                continue;
+            }
+            m = line.match(/^\.([^.\s].*)$/);
+            if (m) {
+                title = m[1];
+                i++;
+                continue;
+            }
+
+            m = line.match(ADOC_SECTION);
+            if (m) {
+                attrs = [];
+                out.push(heading(ctx, m[1].length, asciidocInline(m[2], ctx)));
+                i++;
+                continue;
+            }
+
+            if (/^('{3,}|<{3,})\s*$/.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            m = line.match(ADOC_DELIMITER);
+            if (m) {
+                const delimiter = m[1];
+                const body = [];
+                i++;
+                while (i < lines.length && lines[i].trim() !== delimiter) body.push(lines[i++]);
+                i++;
+                const kind = delimiter[0];
+                const blockAttrs = attrs;
+                const blockTitle = takeTitle();
+                if (kind === '-' || kind === '+') {
+                    // Listing blocks, and passthrough blocks, which are shown as source rather than trusted as HTML.
+                    out.push(blockTitle + codeBlock(body.join('\n'), blockAttrs[0] === 'source' ? blockAttrs[1] : ''));
+                } else if (kind === '.') {
+                    out.push(blockTitle + `<pre>${escapeText(body.join('\n'))}</pre>`);
+                } else if (kind === '_') {
+                    const attribution = blockAttrs[0] === 'quote' && blockAttrs[1]
+                        ? `<cite>${asciidocInline(blockAttrs.slice(1).join(', '), ctx)}</cite>` : '';
+                    out.push(blockTitle + `<blockquote>${renderAsciidocBlocks(body, ctx)}${attribution}</blockquote>`);
+                } else if (kind === '*') {
+                    out.push(`<div class="sidebar">${blockTitle}${renderAsciidocBlocks(body, ctx)}</div>`);
+                } else if (kind === '=') {
+                    out.push(`<div class="example">${blockTitle}${renderAsciidocBlocks(body, ctx)}</div>`);
+                } else if (kind === '|') {
+                    out.push(blockTitle + parseAsciidocTable(body, blockAttrs, ctx));
+                }
+                continue;
+            }
+
+            m = line.match(ADOC_BLOCK_IMAGE);
+            if (m) {
+                const caption = title ? `<figcaption>${asciidocInline(title, ctx)}</figcaption>` : '';
+                title = null;
+                attrs = [];
+                out.push(`<figure>${restore(ctx, image(ctx, escapeText(m[1]), escapeText(m[2].split(',')[0])))}${caption}</figure>`);
+                i++;
+                continue;
+            }
+
+            if (ADOC_LIST_ITEM.test(line)) {
+                const list = parseAsciidocList(lines, i, ctx);
+                out.push(takeTitle() + list.html);
+                i = list.next;
+                continue;
+            }
+
+            if (ADOC_DESCRIPTION.test(line) && !/^\w+:\/\//.test(line)) {
+                let html = '<dl>';
+                while (i < lines.length && (m = lines[i].match(ADOC_DESCRIPTION))) {
+                    html += `<dt>${asciidocInline(m[1], ctx)}</dt>`;
+                    i++;
+                    const definition = m[2] ? [m[2]] : [];
+                    while (i < lines.length && lines[i].trim() && !ADOC_DESCRIPTION.test(lines[i]) && !isAsciidocBlockStart(lines[i])) {
+                        definition.push(lines[i++].trim());
+                    }
+                    if (definition.length) html += `<dd>${asciidocInline(definition.join('\n'), ctx)}</dd>`;
+                    while (i < lines.length && !lines[i].trim()) i++;
+                }
+                out.push(takeTitle() + html + '</dl>');
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isAsciidocBlockStart(lines[i]))) {
+                paragraph.push(lines[i++]);
+            }
+            const text = paragraph.join('\n').trim();
+            const admonition = text.match(ADOC_ADMONITION);
+            if (admonition) {
+                out.push(`<div class="admonition admonition-${admonition[1].toLowerCase()}"><strong>${admonition[1]}:</strong> ${asciidocInline(text.slice(admonition[1].length + 1).trim(), ctx)}</div>`);
+            } else if (/^\s/.test(paragraph[0])) {
+                // Indented paragraphs are literal.
+                out.push(takeTitle() + `<pre>${escapeText(paragraph.join('\n'))}</pre>`);
+            } else {
+                out.push(takeTitle() + `<p>${asciidocInline(text, ctx)}</p>`);
+            }
+        }
+        return out.join('\n');
+    }
+
+    // --- Format detection, table of contents and sanitizing ---
+
+    /**
+     * Guesses whether a source is Asciidoc or Markdown by counting syntax that
+     * only one of them uses. Ties go to Asciidoc, which NIP-54 specifies.
+     */
+    function detectFormat(source) {
+        let asciidoc = 0;
+        let markdown = 0;
+        (source || '').split('\n').forEach(line => {
+            if (/^={1,6}\s+\S/.test(line)) asciidoc += 2;
+            if (/^(-{4,}|\.{4,}|_{4,}|\|={3,})\s*$/.test(line)) asciidoc += 2;
+            if (/^\[[^\]]*\]\s*$/.test(line) && !line.startsWith('[[')) asciidoc++;
+            if (/(https?:\/\/\S+|link:\S+)\[[^\]]*\]/.test(line)) asciidoc++;
+            if (/^\*{2,5}\s/.test(line) || /^\.{1,5}\s/.test(line)) asciidoc++;
+            if (/^#{1,6}\s+\S/.test(line)) markdown += 2;
+            if (/^\s*(`{3,}|~{3,})/.test(line)) markdown += 2;
+            if (/\]\([^)\s]+\)/.test(line)) markdown++;
+            if (/\*\*\S[^*]*\S\*\*/.test(line)) markdown++;
+            if (/^\s*\d+\.\s/.test(line) || /^\s*>/.test(line)) markdown++;
+        });
+        return markdown > asciidoc ? 'markdown' : 'asciidoc';
+    }
+
+    /**
+     * Builds a nested table of contents from the headings of a rendered
+     * article. Short articles (fewer than three headings) get none.
+     */
+    function renderToc(headings) {
+        if (headings.length < 3) return '';
+        const base = Math.min(...headings.map(h => h.level));
+        let html = '';
+        let depth = 0;
+        headings.forEach(h => {
+            const level = h.level - base + 1;
+            if (level > depth) {
+                while (depth < level) {
+                    html += '<ul><li>';
+                    depth++;
+                }
+            } else {
+                html += '</li>';
+                while (depth > level) {
+                    html += '</ul></li>';
+                    depth--;
+                }
+                html += '<li>';
+            }
+            html += `<a href="#${h.id}">${h.html}</a>`;
+        });
+        while (depth > 0) {
+            html += '</li></ul>';
+            depth--;
+        }
+        return `<nav class="toc"><strong>Contents</strong>${html}</nav>`;
+    }
+
+    /**
+     * Filters HTML against the allowlist. Unknown tags are escaped into text,
+     * unknown attributes are dropped, URLs must be relative or use a safe
+     * scheme, and any stray angle bracket is escaped.
+     */
+    function sanitize(html) {
+        return html.replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[a-zA-Z-]+(?:="[^"]*")?)*)\s*\/?>|[<>]/g, (match, closing, tag, attrs) => {
+            if (!tag) return match === '<' ? '&lt;' : '&gt;';
+            tag = tag.toLowerCase();
+            const allowed = ALLOWED_TAGS[tag];
+            if (!allowed) return escapeText(match);
+            if (closing) return VOID_TAGS.includes(tag) ? '' : `</${tag}>`;
+            let clean = '';
+            attrs.replace(/([a-zA-Z-]+)(?:="([^"]*)")?/g, (m, name, value = '') => {
+                name = name.toLowerCase();
+                if (!allowed.includes(name) && !GLOBAL_ATTRS.includes(name)) return m;
+                if (URL_ATTRS.includes(name) && !isSafeUrl(value)) return m;
+                if (name === 'target' && value !== '_blank') return m;
+                if (name === 'id' || name === 'class') value = value.replace(/[^\w\s-]/g, '');
+                if (name === 'id' && !value.startsWith(ID_PREFIX)) value = `${ID_PREFIX}${value}`;
+                clean += ` ${name}="${value}"`;
+                return m;
+            });
+            return `<${tag}${clean}>`;
+        });
+    }
+
+    /**
+     * Renders article source to sanitized HTML.
+     * @param {string} source The article content.
+     * @param {string} [format] 'asciidoc' or 'markdown'; detected if omitted.
+     * @returns {{html: string, toc: string, headings: object[], format: string}}
+     */
+    function render(source, format = detectFormat(source)) {
+        const ctx = { toc: [], ids: new Set(), stash: [] };
+        const lines = (source || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+        const body = format === 'markdown' ? renderMarkdownBlocks(lines, ctx) : renderAsciidocBlocks(lines, ctx);
+        return { html: sanitize(body), toc: sanitize(renderToc(ctx.toc)), headings: ctx.toc, format };
+    }
+
+    return { render, sanitize, detectFormat, isSafeUrl, wikilinkTargets };
+})();
+
+// --- Text Diff ---
+// Paragraph- and word-level diff of two article sources. Paragraphs are aligned
+// with a longest-common-subsequence pass; a deleted paragraph that reappears
+// verbatim elsewhere is reported as moved, and a deleted/inserted pair that is
+// still similar is reported as changed, with a word-level diff of its own.
+const textDiff = (() => {
+    const MAX_TABLE_CELLS = 4000000;
+    const SIMILARITY_THRESHOLD = 0.3;
+
+    /**
+     * Diffs two arrays of strings.
+     * @returns {{type: string, a?: string, b?: string}[]} equal, delete and insert ops in order.
+     */
+    function diffSequences(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: a[i], b: b[i] });
+
+        if (n * m > MAX_TABLE_CELLS) {
+            // Too large to align; report the middle as replaced wholesale.
+            midA.forEach(x => ops.push({ type: 'delete', a: x }));
+            midB.forEach(y => ops.push({ type: 'insert', b: y }));
+        } else {
+            const table = [];
+            for (let i = 0; i <= n; i++) table.push(new Uint32Array(m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (midA[i] === midB[j]) {
+                    ops.push({ type: 'equal', a: midA[i], b: midB[j] });
+                    i++;
+                    j++;
+                } else if (table[i + 1][j] >= table[i][j + 1]) {
+                    ops.push({ type: 'delete', a: midA[i++] });
+                } else {
+                    ops.push({ type: 'insert', b: midB[j++] });
+                }
+            }
+            while (i < n) ops.push({ type: 'delete', a: midA[i++] });
+            while (j < m) ops.push({ type: 'insert', b: midB[j++] });
+        }
+
+        for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ type: 'equal', a: a[i], b: b[j] });
+        return ops;
+    }
+
+    function splitParagraphs(text) {
+        return (text || '').replace(/\r\n/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    }
+
+    // Words, runs of whitespace and single punctuation marks, so that joining
+    // the tokens gives back the original text.
+    function tokenize(text) {
+        return text.match(/\s+|[\p{L}\p{N}_'’-]+|[^\s\p{L}\p{N}_'’-]/gu) || [];
+    }
+
+    function countWords(text) {
+        return (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+    }
+
+    function similarity(a, b) {
+        const wordsA = new Set(a.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+        const wordsB = new Set(b.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+        if (wordsA.size === 0 && wordsB.size === 0) return 1;
+        let shared = 0;
+        wordsA.forEach(w => { if (wordsB.has(w)) shared++; });
+        return shared / (wordsA.size + wordsB.size - shared);
+    }
+
+    function markMoves(ops) {
+        const inserted = new Map();
+        ops.forEach(op => {
+            if (op.type !== 'insert') return;
+            if (!inserted.has(op.b)) inserted.set(op.b, []);
+            inserted.get(op.b).push(op);
+        });
+        ops.forEach(op => {
+            if (op.type !== 'delete') return;
+            const match = (inserted.get(op.a) || []).find(ins => ins.type === 'insert');
+            if (match) {
+                op.type = 'moved-from';
+                match.type = 'moved-to';
+            }
+        });
+    }
+
+    /**
+     * Diffs two article sources.
+     * @returns {{blocks: object[], stats: object}} Blocks of type equal, delete,
+     *   insert, moved-from, moved-to or changed (with a `words` op list), and
+     *   word and paragraph counts of what changed.
+     */
+    function diffArticles(oldText, newText) {
+        const ops = diffSequences(splitParagraphs(oldText), splitParagraphs(newText));
+        markMoves(ops);
+
+        const blocks = [];
+        let k = 0;
+        while (k < ops.length) {
+            if (ops[k].type === 'equal') {
+                blocks.push(ops[k++]);
+                continue;
+            }
+            // Gather the run of changes up to the next equal paragraph. Moved
+            // paragraphs inside it must not stop an edited one from pairing up.
+            const deletes = [];
+            const inserts = [];
+            const moves = [];
+            while (k < ops.length && ops[k].type !== 'equal') {
+                const op = ops[k++];
+                if (op.type === 'delete') deletes.push(op);
+                else if (op.type === 'insert') inserts.push(op);
+                else moves.push(op);
+            }
+            moves.filter(op => op.type === 'moved-from').forEach(op => blocks.push(op));
+            for (let p = 0; p < Math.max(deletes.length, inserts.length); p++) {
+                const del = deletes[p];
+                const ins = inserts[p];
+                if (del && ins && similarity(del.a, ins.b) >= SIMILARITY_THRESHOLD) {
+                    blocks.push({ type: 'changed', a: del.a, b: ins.b, words: diffSequences(tokenize(del.a), tokenize(ins.b)) });
+                } else {
+                    if (del) blocks.push(del);
+                    if (ins) blocks.push(ins);
+                }
+            }
+            moves.filter(op => op.type === 'moved-to').forEach(op => blocks.push(op));
+        }
+
+        const stats = { wordsAdded: 0, wordsRemoved: 0, paragraphsAdded: 0, paragraphsRemoved: 0, paragraphsChanged: 0, paragraphsMoved: 0 };
+        blocks.forEach(block => {
+            if (block.type === 'insert') {
+                stats.paragraphsAdded++;
+                stats.wordsAdded += countWords(block.b);
+            } else if (block.type === 'delete') {
+                stats.paragraphsRemoved++;
+                stats.wordsRemoved += countWords(block.a);
+            } else if (block.type === 'moved-to') {
+                stats.paragraphsMoved++;
+            } else if (block.type === 'changed') {
+                stats.paragraphsChanged++;
+                block.words.forEach(op => {
+                    if (op.type === 'insert') stats.wordsAdded += countWords(op.b);
+                    if (op.type === 'delete') stats.wordsRemoved += countWords(op.a);
+                });
+            }
+        });
+        return { blocks, stats };
+    }
+
+    return { diffSequences, diffArticles };
+})();
+
+// --- Search Index ---
+// Most relays ignore NIP-50 `search` filters, so search.html also ranks
+// articles locally. Titles, summaries and bodies are indexed separately and
+// scored with BM25, titles counting most. A query word matches whole words,
+// words it is a prefix of, and (when nothing matches exactly) words within one
+// or two typos of it. The server functions build their own index per request.
+
+function createSearchIndex() {
+    const FIELD_WEIGHTS = { title: 3, summary: 2, body: 1 };
+    const FIELDS = Object.keys(FIELD_WEIGHTS);
+    const PREFIX_WEIGHT = 0.6;
+    const FUZZY_WEIGHT = 0.4;
+    const K1 = 1.2;
+    const B = 0.75;
+    const docs = new Map(); // Article address -> { event, lengths, terms }
+    const postings = new Map(); // Term -> Map of address -> term frequency per field
+    const totalLengths = { title: 0, summary: 0, body: 0 };
+
+    function normalizeWord(word) {
+        return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    function tokenize(text) {
+        return (text || '').match(/[\p{L}\p{N}]+/gu)?.map(normalizeWord) || [];
+    }
+
+    // Article source with links and markup punctuation removed, for indexing and snippets.
+    function plainText(source) {
+        return (source || '')
+            .replace(/\b(?:https?|nostr):\S+/g, ' ')
+            .replace(/\[\[([^\]|]*\|)?([^\]]*)\]\]/g, '$2')
+            .replace(/[#*_=`|>\[\]{}~^]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function fieldsOf(event) {
+        return { title: articleTitle(event), summary: getTagValue(event, 'summary') || '', body: plainText(event.content) };
+    }
+
+    function remove(address) {
+        const doc = docs.get(address);
+        if (!doc) return;
+        doc.terms.forEach(term => {
+            const posting = postings.get(term);
+            posting.delete(address);
+            if (posting.size === 0) postings.delete(term);
+        });
+        FIELDS.forEach(field => { totalLengths[field] -= doc.lengths[field]; });
+        docs.delete(address);
+    }
+
+    /**
+     * Indexes an article, replacing an older version of the same address.
+     * @returns {boolean} Whether the index changed.
+     */
+    function add(event) {
+        if (event.kind !== ARTICLE_KIND) return false;
+        const address = articleCoordinate(event);
+        const existing = docs.get(address);
+        if (existing && existing.event.created_at >= event.created_at) return false;
+        remove(address);
+
+        const fields = fieldsOf(event);
+        const lengths = {};
+        const terms = new Set();
+        FIELDS.forEach(field => {
+            const tokens = tokenize(fields[field]);
+            lengths[field] = tokens.length;
+            totalLengths[field] += tokens.length;
+            tokens.forEach(term => {
+                terms.add(term);
+                if (!postings.has(term)) postings.set(term, new Map());
+                const posting = postings.get(term);
+                if (!posting.has(address)) posting.set(address, { title: 0, summary: 0, body: 0 });
+                posting.get(address)[field]++;
+            });
+        });
+        docs.set(address, { event, lengths, terms });
+        return true;
+    }
+
+    // Edit distance counting a swap of two adjacent letters as one typo,
+    // giving up once it exceeds `max`.
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // The index terms a query word matches, with a weight for how closely.
+    function expand(word) {
+        const exact = postings.has(word);
+        const matches = exact ? [[word, 1]] : [];
+        // Near misses only count when the word itself is not in the index.
+        const maxDistance = exact ? 0 : word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+        postings.forEach((_, term) => {
+            if (term === word) return;
+            if (word.length >= 2 && term.startsWith(word)) matches.push([term, PREFIX_WEIGHT]);
+            else if (maxDistance && editDistance(word, term, maxDistance) <= maxDistance) matches.push([term, FUZZY_WEIGHT]);
+        });
+        return matches;
+    }
+
+    function termScore(term, address) {
+        const posting = postings.get(term);
+        const frequencies = posting.get(address);
+        const doc = docs.get(address);
+        const idf = Math.log(1 + (docs.size - posting.size + 0.5) / (posting.size + 0.5));
+        return FIELDS.reduce((sum, field) => {
+            const tf = frequencies[field];
+            if (!tf) return sum;
+            const averageLength = totalLengths[field] / docs.size || 1;
+            return sum + FIELD_WEIGHTS[field] * idf * tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.lengths[field] / averageLength));
+        }, 0);
+    }
+
+    /**
+     * Ranks indexed articles against a query.
+     * @returns {Array<{event, score, terms}>} Best first; `terms` holds the
+     *   index terms that matched, for highlighting.
+     */
+    function search(query, limit = 100) {
+        const words = [...new Set(tokenize(query))];
+        if (words.length === 0) return [];
+        const results = new Map();
+        words.forEach(word => {
+            const best = new Map(); // Best match for this word per article
+            expand(word).forEach(([term, weight]) => {
+                postings.get(term).forEach((_, address) => {
+                    const score = weight * termScore(term, address);
+                    const current = best.get(address);
+                    if (!current || current.score < score) best.set(address, { score, term });
+                });
+            });
+            best.forEach(({ score, term }, address) => {
+                if (!results.has(address)) results.set(address, { event: docs.get(address).event, score: 0, matched: 0, terms: new Set() });
+                const result = results.get(address);
+                result.score += score;
+                result.matched++;
+                result.terms.add(term);
+            });
+        });
+        // Articles matching every word of the query come first.
+        return [...results.values()]
+            .map(({ event, score, matched, terms }) => ({ event, score: score * matched / words.length, terms }))
+            .sort((a, b) => b.score - a.score || b.event.created_at - a.event.created_at)
+            .slice(0, limit);
+    }
+
+    /**
+     * Escapes text and wraps the words that matched in <mark>.
+     */
+    function highlight(text, terms) {
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!terms.has(normalizeWord(match[0]))) continue;
+            html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return html + escapeHtml(text.slice(last));
+    }
+
+    /**
+     * Returns highlighted HTML for the part of the article around its first
+     * matching word, falling back to the summary or the start of the body.
+     */
+    function snippet(event, terms, length = 220) {
+        const { summary, body } = fieldsOf(event);
+        const words = [...body.matchAll(/[\p{L}\p{N}]+/gu)];
+        const first = words.find(match => terms.has(normalizeWord(match[0])));
+        if (!first) return highlight(summary || body.slice(0, length), terms);
+        const start = Math.max(0, body.lastIndexOf(' ', Math.max(0, first.index - length / 3)));
+        const end = Math.min(body.length, start + length);
+        return `${start > 0 ? '… ' : ''}${highlight(body.slice(start, end).trim(), terms)}${end < body.length ? ' …' : ''}`;
+    }
+
+    return { add, search, highlight, snippet, tokenize, size: () => docs.size };
+}
+
+const searchIndex = createSearchIndex();
+
+// --- Categories ---
+// Categories come from the `t` tags of the current version of every article
+// seen, from relays or the offline cache. Tags are compared after
+// normalization, and a `/` nests categories, so `History/Europe` is a
+// subcategory of `History`. Each category is shown under the spelling its
+// authors use most.
+
+const categoryIndex = (() => {
+    const articles = new Map(); // Address -> newest article event
+    let tree = null; // Rebuilt on demand after changes
+
+    /**
+     * Adds an article, replacing an older version of the same address.
+     * @returns {boolean} Whether the categories may have changed.
+     */
+    function add(event) {
+        if (event.kind !== ARTICLE_KIND) return false;
+        const address = articleCoordinate(event);
+        const existing = articles.get(address);
+        if (existing && existing.created_at >= event.created_at) return false;
+        articles.set(address, event);
+        tree = null;
+        return true;
+    }
+
+    function createNode(key, parent) {
+        return { key, name: key, parent, children: new Map(), topics: new Set(), spellings: new Map(), tags: new Set() };
+    }
+
+    function build() {
+        const root = createNode('', null);
+        articles.forEach(event => {
+            const topic = normalizeTopic(articleTopic(event));
+            event.tags.filter(t => t[0] === 't' && t[1]).forEach(([, raw]) => {
+                const rawSegments = raw.split('/').map(s => s.trim().replace(/\s+/g, ' ')).filter(Boolean);
+                let node = root;
+                rawSegments.forEach(segment => {
+                    const key = node.key ? `${node.key}/${segment.toLowerCase()}` : segment.toLowerCase();
+                    if (!node.children.has(key)) node.children.set(key, createNode(key, node));
+                    node = node.children.get(key);
+                    node.topics.add(topic);
+                    node.spellings.set(segment, (node.spellings.get(segment) || 0) + 1);
+                });
+                if (node !== root) node.tags.add(raw);
+            });
+        });
+        const name = node => {
+            node.name = [...node.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || node.key;
+            node.children.forEach(name);
+        };
+        root.children.forEach(name);
+        return root;
+    }
+
+    /**
+     * Returns the category tree. Every node has `key` (the normalized path),
+     * `name`, `parent`, `children` (a Map by key) and `topics`, the distinct
+     * topics in it or any subcategory.
+     */
+    function categories() {
+        if (!tree) tree = build();
+        return tree;
+    }
+
+    function find(category) {
+        const key = normalizeCategory(category);
+        let node = categories();
+        for (const segment of key.split('/').filter(Boolean)) {
+            node = node.children.get(node.key ? `${node.key}/${segment}` : segment);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    /**
+     * Returns the newest version of every topic in a category and its
+     * subcategories, sorted by title.
+     */
+    function articlesIn(category) {
+        const key = normalizeCategory(category);
+        const newest = new Map();
+        articles.forEach(event => {
+            if (!articleCategories(event).includes(key)) return;
+            const topic = normalizeTopic(articleTopic(event));
+            const existing = newest.get(topic);
+            if (!existing || existing.created_at < event.created_at) newest.set(topic, event);
+        });
+        return [...newest.values()].sort((a, b) => articleTitle(a).localeCompare(articleTitle(b)));
+    }
+
+    /**
+     * Returns the raw tag values seen for a category and its subcategories,
+     * for `#t` filters, which relays match exactly.
+     */
+    function tagValues(category) {
+        const values = new Set([category.trim()]);
+        const collect = node => {
+            node.tags.forEach(tag => values.add(tag));
+            node.children.forEach(collect);
+        };
+        const node = find(category);
+        if (node) collect(node);
+        return [...values];
+    }
+
+    return { add, categories, find, articlesIn, tagValues, size: () => articles.size };
+})();
+
+// --- Page-specific Logic ---
+/**
+ * Returns the filters from recent.html's query string, or null if there are none.
+ */
+function recentFilters(params) {
+    const filters = { author: params.get('author') || '', category: params.get('category') || '', window: params.get('window') || '' };
+    return filters.author || filters.category || RECENT_WINDOWS[filters.window] ? filters : null;
+}
+
+function fetchRecentArticles() {
+    const path = window.location.pathname;
+    const filters = recentFilters(new URLSearchParams(window.location.search));
+    const filter = { kinds: [ARTICLE_KIND] };
+    const statusEl = document.getElementById('recent-filter-status');
+    if (statusEl) statusEl.textContent = '';
+    if (filters) {
+        const pubkey = filters.author && authorPubkey(filters.author);
+        if (filters.author && !pubkey && statusEl) statusEl.textContent = 'Unknown author format; use an npub1, nprofile1 or hex public key.';
+        if (pubkey) filter.authors = [pubkey];
+        if (filters.category) filter['#t'] = categoryTagValues(filters.category);
+        if (RECENT_WINDOWS[filters.window]) filter.since = Math.floor(Date.now() / 1000) - RECENT_WINDOWS[filters.window];
+    } else {
+        rememberQuery('recent-articles', 'recent');
+    }
+    createPagedList('recent-articles', filter, path.endsWith('/recent.html') ? 20 : 10, { live: true });
+}
+
+function applyRecentFilters() {
+    const url = new URL(window.location.href);
+    ['author', 'category', 'window'].forEach(name => {
+        const value = document.getElementById(`recent-filter-${name}`).value.trim();
+        if (value) url.searchParams.set(name, value);
+        else url.searchParams.delete(name);
+    });
+    history.replaceState(null, '', url);
+    delete cachedQueries['recent-articles'];
+    const container = document.getElementById('recent-articles-container');
+    if (container) container.innerHTML = '<p>Loading recent articles from relays...</p>';
+    fetchRecentArticles();
+}
+
+/**
+ * Keeps a live count of article edits in the last hour for the home page.
+ * The subscription stays open; expired edits drop out once a minute.
+ */
+function fetchHourlyEdits() {
+    if (!document.getElementById('hourly-edits')) return;
+    subscribe({ kinds: [ARTICLE_KIND], since: Math.floor(Date.now() / 1000) - RECENT_WINDOWS.hour }, 'hourly-edits');
+    clearInterval(hourlyEditsTimer);
+    hourlyEditsTimer = setInterval(renderHourlyEdits, 60 * 1000);
+}
+
+function receiveHourlyEdit(event) {
+    hourlyEdits.set(event.id, event.created_at);
+    renderHourlyEdits();
+}
+
+function renderHourlyEdits() {
+    const counterEl = document.getElementById('hourly-edits');
+    if (!counterEl) return;
+    const cutoff = Math.floor(Date.now() / 1000) - RECENT_WINDOWS.hour;
+    hourlyEdits.forEach((createdAt, id) => {
+        if (createdAt < cutoff) hourlyEdits.delete(id);
+    });
+    const count = hourlyEdits.size;
+    counterEl.innerHTML = `<span class="live-dot"></span> <strong>${count}</strong> edit${count === 1 ? '' : 's'} in the last hour · <a href="/recent.html?window=hour">see them</a>`;
+}
+function fetchArticle(eventId) { 
+    const pointer = parseNostrIdentifier(eventId);
+    if (!pointer) {
+         console.error("Invalid Nostr identifier provided:", eventId);
+         document.getElementById('content').innerHTML = `<h1>Error: Invalid article ID format.</h1><p>Please use a valid hex, note1, nevent1 or naddr1 identifier.</p>`;
+         return;
+    }
+    if (pointer.type === 'profile') {
+         // A profile, not an article: show that author's page instead.
+         window.location.replace(authorLink(pointer.pubkey));
+         return;
+    }
+    if (pointer.relays.length) console.log("Relay hints for article:", pointer.relays);
+    subscribe(pointerToFilter(pointer), `article-${pointerSubKey(pointer)}`, { hints: pointer.relays }); 
+}
+function fetchArticleByTopic(topic) {
+    if (!articleView.topic) articleView.topic = topic;
+    const normalized = normalizeTopic(topic);
+    const topics = [...new Set([topic, normalized])];
+    subscribe({ kinds: [ARTICLE_KIND], '#d': topics, limit: 100 }, `article-topic-${normalized}`.substring(0, 64));
+}
+function receiveArticleVersion(event, relayUrl) {
+    if (relayUrl && !eventRelays[event.id]) eventRelays[event.id] = relayUrl;
+    if (!storeArticleVersion(event)) return;
+    if (!articleView.topic) {
+        // Opened by event id or naddr: keep showing that author's version, but
+        // also look for everyone else's take on the topic.
+        articleView.topic = articleTopic(event);
+        articleView.selected = articleCoordinate(event);
+        fetchArticleByTopic(articleView.topic);
+    }
+    refreshArticleView();
+}
+function fetchRevision(eventId) {
+    const pointer = parseNostrIdentifier(eventId);
+    if (!pointer || pointer.type !== 'event') {
+         document.getElementById('content').innerHTML = `<h1>Error: Invalid revision ID.</h1><p>Revisions are identified by a hex, note1 or nevent1 event ID.</p>`;
+         return;
+    }
+    subscribe(pointerToFilter(pointer), `revision-${pointer.id}`, { closeOnEose: true, hints: pointer.relays });
+}
+/**
+ * Returns the NIPs a relay lists in its NIP-11 information document. Known
+ * answers are kept for a day; failures are retried on the next call.
+ */
+async function relaySupportedNips(url) {
+    const key = normalizeRelayUrl(url);
+    if (relayNips[key]) return relayNips[key];
+    const stored = JSON.parse(localStorage.getItem('nostipedia_relay_nips') || '{}');
+    if (stored[key] && Date.now() - stored[key].checked < 24 * 60 * 60 * 1000) return (relayNips[key] = stored[key].nips);
+    // Callers arriving while the document loads share the request. Only an
+    // answer is kept; after a failure the next call tries again.
+    relayNips[key] = (async () => {
+        try {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), 3000);
+            const response = await fetch(key.replace(/^ws/, 'http'), { headers: { Accept: 'application/nostr+json' }, signal: controller.signal });
+            clearTimeout(timer);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const info = await response.json();
+            const nips = Array.isArray(info.supported_nips) ? info.supported_nips : [];
+            relayNips[key] = nips;
+            // Read again: other relays' answers may have been stored meanwhile.
+            const latest = JSON.parse(localStorage.getItem('nostipedia_relay_nips') || '{}');
+            latest[key] = { nips, checked: Date.now() };
+            localStorage.setItem('nostipedia_relay_nips', JSON.stringify(latest));
+            return nips;
+        } catch (e) {
+            console.warn(`Could not fetch relay information for ${key}:`, e);
+            delete relayNips[key];
+            return [];
+        }
+    })();
+    return relayNips[key];
+}
+
+/**
+ * Searches relays that support NIP-50 with a `search` filter, and scans
+ * recent articles on all others. Everything received goes into the local
+ * index, which ranks and merges the results.
+ */
+async function searchArticles(query) {
+    searchState.query = query;
+    const nips = await Promise.all(relays.map(relaySupportedNips));
+    const searchRelays = relays.filter((_, i) => nips[i].includes(50));
+    const scanRelays = relays.filter((_, i) => !nips[i].includes(50));
+    if (searchRelays.length) createPagedList('search-nip50', { kinds: [ARTICLE_KIND], search: query }, 50, { relays: searchRelays });
+    if (scanRelays.length) createPagedList('search-scan', { kinds: [ARTICLE_KIND] }, 500, { relays: scanRelays });
+    renderSearchResults();
+}
+
+function receiveSearchResult(event, subId) {
+    if (event.kind !== ARTICLE_KIND) return;
+    // A NIP-50 relay may match in ways the local index does not (stemming,
+    // other languages), so its results are kept even without a local match.
+    // Scanned articles only show up if they match locally.
+    if (subId === 'search-nip50') {
+        const address = articleCoordinate(event);
+        const existing = searchState.relayMatches.get(address);
+        if (!existing || existing.created_at < event.created_at) searchState.relayMatches.set(address, event);
+    }
+    searchIndex.add(event);
+    if (!searchRenderTimer) searchRenderTimer = setTimeout(renderSearchResults, 200);
+}
+
+/**
+ * Returns the results for the open query: local matches, best first, then
+ * relay matches the local index does not rank.
+ */
+function currentSearchResults() {
+    const results = searchIndex.search(searchState.query);
+    const found = new Set(results.map(result => articleCoordinate(result.event)));
+    searchState.relayMatches.forEach((event, address) => {
+        if (!found.has(address)) results.push({ event, score: 0, terms: new Set() });
+    });
+    // Rules can change after an article was indexed.
+    return results.filter(result => !isHiddenEvent(result.event));
+}
+
+function renderSearchResults() {
+    clearTimeout(searchRenderTimer);
+    searchRenderTimer = null;
+    const container = document.getElementById('search-results-container');
+    if (!container || !searchState.query) return;
+
+    const results = currentSearchResults();
+
+    const waitingFor = ['search-nip50', 'search-scan'].reduce((sum, name) => sum + (pagedLists[name] ? pagedLists[name].waiting.size : 0), 0);
+    const searching = !pagedLists['search-nip50'] && !pagedLists['search-scan'] ? 1 : waitingFor;
+    const waiting = searching > 0 ? ` Waiting for ${searching === 1 ? 'a relay' : `${searching} relays`}...` : '';
+    if (results.length === 0) {
+        container.innerHTML = `<p>${waiting ? 'Searching relays...' : 'No articles found matching your search.'}</p>`;
+        return;
+    }
+    container.innerHTML = `<p class="search-summary">${results.length} result${results.length === 1 ? '' : 's'} among ${searchIndex.size()} articles searched.${waiting}</p>` +
+        results.map(({ event, terms }) => `<div class="article-preview" data-address="${escapeHtml(articleCoordinate(event))}">` +
+            `<h3><a href="${topicLink(articleTopic(event))}">${searchIndex.highlight(articleTitle(event), terms)}</a></h3>` +
+            `<p>${searchIndex.snippet(event, terms)}</p>` +
+            `<small>by: ${authorHtml(event.pubkey)} | updated ${new Date(event.created_at * 1000).toLocaleDateString()}</small><hr></div>`).join('');
+}
+/**
+ * Scans recent articles for categories, and asks for the open category's
+ * articles by every spelling of its tags seen so far.
+ */
+function fetchCategories() {
+    subscribe({ kinds: [ARTICLE_KIND], limit: 500 }, 'category-scan', { closeOnEose: true });
+    if (categoryView.category) fetchArticlesByCategory(categoryView.category);
+}
+
+/**
+ * Returns the `t` values to query for a category: every spelling seen so far
+ * plus the common capitalizations, since relays match tags exactly.
+ */
+function categoryTagValues(category) {
+    const trimmed = category.trim();
+    return [...new Set([...categoryIndex.tagValues(category), trimmed.toLowerCase(), trimmed.charAt(0).toUpperCase() + trimmed.slice(1)])].sort();
+}
+
+function fetchArticlesByCategory(category) {
+    const values = categoryTagValues(category);
+    const key = values.join('\n');
+    if (key === categoryTagsKey) return;
+    categoryTagsKey = key;
+    createPagedList('category-articles', { kinds: [ARTICLE_KIND], '#t': values }, 500);
+}
+
+function receiveCategoryArticle(event) {
+    if (!categoryIndex.add(event)) return;
+    if (!categoryRenderTimer) categoryRenderTimer = setTimeout(renderCategories, 200);
+}
+
+// Display path of a category, e.g. "History/Europe".
+function categoryPath(node) {
+    return node.parent && node.parent.key ? `${categoryPath(node.parent)}/${node.name}` : node.name;
+}
+
+function categoryItemHtml(node) {
+    return `<a href="${categoryLink(categoryPath(node))}">${escapeHtml(node.name)}</a> <span class="category-count">(${node.topics.size})</span>`;
+}
+
+function sortedCategories(nodes) {
+    return [...nodes.values()].sort((a, b) => b.topics.size - a.topics.size || a.name.localeCompare(b.name));
+}
+
+function categoryTreeHtml(node) {
+    if (node.children.size === 0) return '';
+    return `<ul class="category-tree">${sortedCategories(node.children).map(child => `<li>${categoryItemHtml(child)}${categoryTreeHtml(child)}</li>`).join('')}</ul>`;
+}
+
+function renderCategories() {
+    clearTimeout(categoryRenderTimer);
+    categoryRenderTimer = null;
+    const root = categoryIndex.categories();
+    const emptyText = categoryView.loaded ? 'No categories found on the connected relays.' : 'Loading categories from relays...';
+
+    // Home page: the biggest top-level categories.
+    const cloudEl = document.getElementById('categories-container');
+    if (cloudEl) {
+        const top = sortedCategories(root.children).slice(0, 24);
+        cloudEl.innerHTML = top.length === 0 ? `<p>${emptyText}</p>` :
+            top.map(node => `<a href="${categoryLink(categoryPath(node))}" class="category-link">${escapeHtml(node.name)} <span class="category-count">${node.topics.size}</span></a>`).join('') +
+            `<a href="/categories.html" class="category-link all-categories">All categories&hellip;</a>`;
+    }
+
+    const treeEl = document.getElementById('categories-tree');
+    if (!treeEl) return;
+    const titleEl = document.getElementById('categories-title');
+    const breadcrumbEl = document.getElementById('categories-breadcrumb');
+    const listingEl = document.getElementById('category-listing');
+
+    if (!categoryView.category) {
+        treeEl.innerHTML = root.children.size === 0 ? `<p>${emptyText}</p>` : categoryTreeHtml(root);
+        return;
+    }
+
+    const node = categoryIndex.find(categoryView.category);
+    const crumbs = [];
+    for (let n = node; n && n.key; n = n.parent) crumbs.unshift(`<a href="${categoryLink(categoryPath(n))}">${escapeHtml(n.name)}</a>`);
+    if (titleEl) titleEl.textContent = `Category: ${node ? node.name : categoryView.category}`;
+    const randomLink = document.getElementById('category-random-link');
+    if (randomLink) randomLink.href = `/random?category=${encodeURIComponent(categoryView.category)}`;
+    if (breadcrumbEl) breadcrumbEl.innerHTML = ['<a href="/categories.html">Categories</a>', ...crumbs].join(' &rsaquo; ');
+    treeEl.innerHTML = node && node.children.size > 0
+        ? `<h2>Subcategories</h2><ul class="category-tree">${sortedCategories(node.children).map(child => `<li>${categoryItemHtml(child)}</li>`).join('')}</ul>`
+        : '';
+    renderCategoryArticles(listingEl, categoryIndex.articlesIn(categoryView.category).filter(event => !isHiddenEvent(event)));
+}
+
+function renderCategoryArticles(listingEl, articles) {
+    if (!listingEl) return;
+    const pageCount = Math.max(1, Math.ceil(articles.length / CATEGORY_PAGE_SIZE));
+    categoryView.page = Math.min(Math.max(1, categoryView.page), pageCount);
+    const start = (categoryView.page - 1) * CATEGORY_PAGE_SIZE;
+    const headingEl = document.getElementById('category-articles-heading');
+    const listEl = document.getElementById('category-articles');
+    const paginationEl = document.getElementById('category-pagination');
+
+    listingEl.style.display = 'block';
+    if (articles.length === 0) {
+        headingEl.textContent = 'Articles';
+        listEl.innerHTML = `<li>${categoryView.loaded ? 'No articles in this category yet.' : 'Loading articles from relays...'}</li>`;
+        paginationEl.innerHTML = '';
+        return;
+    }
+    headingEl.textContent = `Articles (${start + 1}–${Math.min(start + CATEGORY_PAGE_SIZE, articles.length)} of ${articles.length})`;
+    listEl.innerHTML = articles.slice(start, start + CATEGORY_PAGE_SIZE).map(event => {
+        const summary = getTagValue(event, 'summary') || '';
+        return `<li><a href="${topicLink(articleTopic(event))}">${escapeHtml(articleTitle(event))}</a>` +
+            `${summary ? ` — ${escapeHtml(summary.length > 120 ? `${summary.slice(0, 120)}…` : summary)}` : ''}` +
+            ` <small>${new Date(event.created_at * 1000).toLocaleDateString()}</small></li>`;
+    }).join('');
+    paginationEl.innerHTML = pageCount === 1 ? '' :
+        `<button data-page="${categoryView.page - 1}" ${categoryView.page === 1 ? 'disabled' : ''}>&larr; Previous</button> ` +
+        `Page ${categoryView.page} of ${pageCount} ` +
+        `<button data-page="${categoryView.page + 1}" ${categoryView.page === pageCount ? 'disabled' : ''}>Next &rarr;</button>`;
+}
+
+function setCategoryPage(page) {
+    categoryView.page = page;
+    const url = new URL(window.location.href);
+    if (page > 1) url.searchParams.set('page', page);
+    else url.searchParams.delete('page');
+    history.replaceState(null, '', url);
+    renderCategories();
+    window.scrollTo(0, 0);
+}
+function fetchArticleForPane(eventId, paneId, inputElement) { 
+    const pointer = parseNostrIdentifier(eventId);
+    if (!pointer || pointer.type === 'profile') {
+        console.error("Invalid Nostr identifier for pane:", eventId);
+        inputElement.value = '';
+        inputElement.placeholder = 'Invalid ID. Try again.';
+        return;
+    }
+    comparePanes[paneId] = null;
+    if (paneSubscriptions[paneId]) unsubscribe(paneSubscriptions[paneId]);
+    const subId = `compare-${paneId}-${pointerSubKey(pointer)}`; 
+    paneSubscriptions[paneId] = subId;
+    subscribe(pointerToFilter(pointer), subId, { closeOnEose: true, hints: pointer.relays }); 
+}
+function renderArticlePreview(event, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    // If this is the first article in this container, clear the "Loading..." message.
+    if (!container.querySelector('.article-preview')) container.innerHTML = '';
+
+    // One preview per article: a newer version (from relays, after the cached
+    // one) replaces the older one in place.
+    const address = articleCoordinate(event);
+    const existing = Array.from(container.querySelectorAll('.article-preview')).find(el => el.dataset.address === address);
+    if (existing && Number(existing.dataset.createdAt) >= event.created_at) return;
+
+    const title = articleTitle(event);
+    const summary = getTagValue(event, 'summary') || (event.content || '').substring(0, 150) + '...';
+    const articleLink = topicLink(articleTopic(event));
+    const revisionLink = `/article.html?id=${nip19.neventEncode({ id: event.id, author: event.pubkey, kind: event.kind })}`;
+    const articleDiv = document.createElement('div');
+    articleDiv.className = 'article-preview';
+    articleDiv.dataset.address = address;
+    articleDiv.dataset.id = event.id;
+    articleDiv.dataset.createdAt = event.created_at;
+    // Edits published while the page is open stream in with a marker.
+    const marker = event.created_at > pageOpenedAt ? ' <span class="new-marker">new</span>' : '';
+    if (marker) articleDiv.classList.add('new-edit');
+    articleDiv.innerHTML = `<h3><a href="${articleLink}">${escapeHtml(title)}</a>${marker}</h3><p>${escapeHtml(summary)}</p><small>by: ${authorHtml(event.pubkey)} | id: <a href="${revisionLink}">${event.id.substring(0, 10)}...</a></small><hr>`;
+    if (existing) existing.remove();
+    // Keep the list in strict time order, newest first, however events arrive.
+    const next = Array.from(container.querySelectorAll('.article-preview')).find(el => Number(el.dataset.createdAt) < event.created_at);
+    container.insertBefore(articleDiv, next || null);
+}
+function renderArticle(event, relayUrl) {
+    const titleEl = document.getElementById('article-title');
+    const authorEl = document.getElementById('article-author');
+    const dateEl = document.getElementById('article-date');
+    const contentEl = document.getElementById('article-content');
+    if (!titleEl || !contentEl) return;
+    articleView.rendered = event;
+    hideArticleUpdate();
+    titleEl.textContent = articleTitle(event);
+    const historyLink = document.getElementById('article-history-link');
+    if (historyLink) historyLink.href = `/history.html?d=${encodeURIComponent(articleTopic(event))}`;
+    const editLink = document.getElementById('article-edit-link');
+    if (editLink) editLink.href = `/editor.html?id=${articleAddress(event)}`;
+    authorEl.innerHTML = authorHtml(event.pubkey, true);
+    dateEl.textContent = new Date(event.created_at * 1000).toLocaleString();
+    const verifiedEl = document.getElementById('article-verified');
+    if (verifiedEl) {
+        verifiedEl.style.display = verifiedEventIds.has(event.id) ? '' : 'none';
+        verifiedEl.title = `Event id ${event.id} matches its content and is signed by ${nip19.npubEncode(event.pubkey)}`;
+    }
+    const rendered = markup.render(event.content);
+    contentEl.innerHTML = rendered.html;
+    const categoriesEl = document.getElementById('article-categories');
+    if (categoriesEl) {
+        const tags = [...new Set(event.tags.filter(t => t[0] === 't' && normalizeCategory(t[1] || '')).map(t => t[1].trim()))];
+        categoriesEl.innerHTML = tags.length ? `<strong>Categories:</strong> ${tags.map(tag => `<a href="${categoryLink(tag)}">${escapeHtml(tag)}</a>`).join(' | ')}` : '';
+        categoriesEl.style.display = tags.length ? 'block' : 'none';
+    }
+    const tocEl = document.getElementById('article-toc');
+    if (tocEl) tocEl.innerHTML = rendered.toc;
+    resolveArticleLinks(contentEl, 'article');
+    fetchBacklinks(articleTopic(event));
+
+    // Topic links already follow the newest version. Otherwise replace whatever
+    // identifier was used with an naddr permalink, which keeps pointing at the
+    // article when its author publishes a new revision.
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('d') || params.has('rev')) return;
+    const permalink = `/article.html?id=${articleAddress(event, relayUrl ? [relayUrl] : [])}${window.location.hash}`;
+    window.history.replaceState(null, '', permalink);
+}
+function renderArticleInPane(event, paneContentId) {
+    const contentEl = document.getElementById(paneContentId);
+    if (!contentEl) return;
+    let html = `<h2>${escapeHtml(articleTitle(event))}</h2>`;
+    html += `<p><small>Author: ${authorHtml(event.pubkey)}<br>Date: ${new Date(event.created_at * 1000).toLocaleString()}</small></p><hr>`;
+    html += markup.render(event.content).html;
+    contentEl.innerHTML = html;
+    resolveArticleLinks(contentEl, paneContentId);
+}
+
+// --- Profiles ---
+// Kind-0 metadata for every author shown on a page. Requests are batched: each
+// pubkey is asked for once, together with whatever else was requested in the
+// same tick, and every element showing that author is updated on arrival.
+
+function shortNpub(pubkey) {
+    const npub = nip19.npubEncode(pubkey);
+    return `${npub.substring(0, 12)}…${npub.slice(-4)}`;
+}
+
+function authorLink(pubkey) {
+    return `/author.html?pubkey=${nip19.npubEncode(pubkey)}`;
+}
+
+function profileName(pubkey) {
+    const profile = profiles[pubkey];
+    return (profile && (profile.data.display_name || profile.data.name)) || shortNpub(pubkey);
+}
+
+function formatNip05(identifier) {
+    return identifier.startsWith('_@') ? identifier.substring(2) : identifier;
+}
+
+function profileInnerHtml(pubkey, withAvatar) {
+    const profile = profiles[pubkey];
+    let html = '';
+    const picture = profile && profile.data.picture;
+    if (withAvatar && typeof picture === 'string' && /^https?:\/\//i.test(picture)) {
+        html += `<img class="avatar" src="${escapeHtml(picture)}" alt="" loading="lazy">`;
+    }
+    html += `<span class="profile-name">${escapeHtml(profileName(pubkey))}</span>`;
+    if (nip05Status[pubkey]) {
+        html += ` <span class="nip05-verified" title="Verified as ${escapeHtml(profile.data.nip05)}">✓ ${escapeHtml(formatNip05(profile.data.nip05))}</span>`;
+    }
+    return html;
+}
+
+/**
+ * Returns an element showing an author's name, and optionally avatar, that
+ * fills itself in once the profile arrives. Not a link, so it can be placed
+ * inside other links.
+ */
+function authorLabel(pubkey, withAvatar = false) {
+    requestProfile(pubkey);
+    return `<span class="profile" data-profile="${pubkey}"${withAvatar ? ' data-avatar="1"' : ''}>${profileInnerHtml(pubkey, withAvatar)}</span>`;
+}
+
+function authorHtml(pubkey, withAvatar = false) {
+    return `<a class="author-link" href="${authorLink(pubkey)}">${authorLabel(pubkey, withAvatar)}</a>`;
+}
+
+function requestProfile(pubkey) {
+    if (!/^[a-f0-9]{64}$/.test(pubkey) || requestedProfiles.has(pubkey)) return;
+    requestedProfiles.add(pubkey);
+    offlineCache.getProfile(pubkey).then(event => {
+        if (event) receiveProfile(event);
+    });
+    pendingProfiles.add(pubkey);
+    if (!profileBatchTimer) profileBatchTimer = setTimeout(flushProfileRequests, 100);
+}
+
+function flushProfileRequests() {
+    profileBatchTimer = null;
+    const authors = [...pendingProfiles];
+    pendingProfiles.clear();
+    for (let i = 0; i < authors.length; i += 100) {
+        subscribe({ kinds: [0], authors: authors.slice(i, i + 100) }, `profiles-${profileBatchCount++}`, { closeOnEose: true });
+    }
+}
+
+function receiveProfile(event) {
+    if (event.kind !== 0) return;
+    const existing = profiles[event.pubkey];
+    if (existing && existing.event.created_at >= event.created_at) return;
+    let data;
+    try {
+        data = JSON.parse(event.content);
+    } catch (e) {
+        return;
+    }
+    if (!data || typeof data !== 'object') return;
+    profiles[event.pubkey] = { event, data };
+    delete nip05Status[event.pubkey];
+    applyProfile(event.pubkey);
+    if (typeof data.nip05 === 'string') verifyNip05(event.pubkey, data.nip05);
+}
+
+/**
+ * Checks a NIP-05 identifier against the domain's /.well-known/nostr.json.
+ * Failures (including CORS) simply leave the author unverified.
+ */
+async function verifyNip05(pubkey, identifier) {
+    const match = identifier.trim().toLowerCase().match(/^(?:([a-z0-9._-]+)@)?([a-z0-9.-]+\.[a-z]{2,})$/);
+    if (!match) return;
+    const name = match[1] || '_';
+    try {
+        const response = await fetch(`https://${match[2]}/.well-known/nostr.json?name=${encodeURIComponent(name)}`);
+        const json = await response.json();
+        nip05Status[pubkey] = !!(json.names && json.names[name] === pubkey);
+    } catch (e) {
+        nip05Status[pubkey] = false;
+    }
+    applyProfile(pubkey);
+}
+
+function applyProfile(pubkey) {
+    document.querySelectorAll(`.profile[data-profile="${pubkey}"]`).forEach(el => {
+        el.innerHTML = profileInnerHtml(pubkey, el.dataset.avatar === '1');
+    });
+    document.querySelectorAll(`a.nostr-mention[data-pubkey="${pubkey}"]`).forEach(a => {
+        a.textContent = `@${profileName(pubkey)}`;
+    });
+    if (authorPage.pubkey === pubkey) renderAuthorHeader();
+}
+
+// --- Author Page ---
+
+function authorPubkey(identifier) {
+    const pointer = parseNostrIdentifier(identifier);
+    if (pointer && pointer.type === 'profile') return pointer.pubkey;
+    // Bare hex is parsed as an event id; on this page it can only be a pubkey.
+    if (pointer && pointer.type === 'event' && /^[a-f0-9]{64}$/i.test(identifier.trim())) return pointer.id;
+    return null;
+}
+
+function fetchAuthorPage(identifier) {
+    const pubkey = authorPubkey(identifier);
+    if (!pubkey) {
+        document.getElementById('content').innerHTML = '<h1>Error: Invalid author.</h1><p>Please use a valid npub1, nprofile1 or hex public key.</p>';
+        return;
+    }
+    // Keep articles already shown from the offline cache.
+    if (authorPage.pubkey !== pubkey) authorPage = { pubkey, articles: {} };
+    renderAuthorHeader();
+    requestProfile(pubkey);
+    subscribe({ kinds: [ARTICLE_KIND], authors: [pubkey], limit: 500 }, 'author-articles');
+}
+
+function renderAuthorHeader() {
+    const pubkey = authorPage.pubkey;
+    const profile = profiles[pubkey];
+    const nameEl = document.getElementById('author-name');
+    const avatarEl = document.getElementById('author-avatar');
+    const nip05El = document.getElementById('author-nip05');
+    const npubEl = document.getElementById('author-npub');
+    const aboutEl = document.getElementById('author-about');
+    if (nameEl) nameEl.textContent = profileName(pubkey);
+    if (npubEl) npubEl.textContent = nip19.npubEncode(pubkey);
+    if (!profile) return;
+    document.title = `${profileName(pubkey)} - Nostipedia`;
+    const picture = profile.data.picture;
+    if (avatarEl && typeof picture === 'string' && /^https?:\/\//i.test(picture)) {
+        avatarEl.src = picture;
+        avatarEl.hidden = false;
+    }
+    if (nip05El) {
+        nip05El.textContent = typeof profile.data.nip05 === 'string'
+            ? `${formatNip05(profile.data.nip05)} ${nip05Status[pubkey] ? '✓ verified' : '(not verified)'}`
+            : '';
+        nip05El.className = nip05Status[pubkey] ? 'nip05-verified' : '';
+    }
+    if (aboutEl) aboutEl.textContent = typeof profile.data.about === 'string' ? profile.data.about : '';
+}
+
+function receiveAuthorArticle(event) {
+    if (event.pubkey !== authorPage.pubkey || event.kind !== ARTICLE_KIND) return;
+    const key = articleCoordinate(event);
+    const existing = authorPage.articles[key];
+    if (existing && existing.created_at >= event.created_at) return;
+    authorPage.articles[key] = event;
+    renderAuthorArticles();
+}
+
+function renderAuthorArticles() {
+    const container = document.getElementById('author-articles-container');
+    const statsEl = document.getElementById('author-stats');
+    if (!container) return;
+    const articles = Object.values(authorPage.articles).sort((a, b) => b.created_at - a.created_at);
+    if (statsEl && articles.length) {
+        statsEl.textContent = `${articles.length} article${articles.length === 1 ? '' : 's'} · most recent edit ${new Date(articles[0].created_at * 1000).toLocaleString()}`;
+    }
+    container.innerHTML = `<table class="author-articles">
+        <thead><tr><th>Article</th><th>Last edited</th><th>Size</th></tr></thead>
+        <tbody>${articles.map(event => `<tr>
+            <td><a href="${topicLink(articleTopic(event))}">${escapeHtml(articleTitle(event))}</a></td>
+            <td>${new Date(event.created_at * 1000).toLocaleString()}</td>
+            <td>${articleSize(event).toLocaleString()} bytes</td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+// --- Article Links ---
+// The renderer turns wikilinks and nostr: references into plain links with
+// data attributes. Once an article is on the page, these functions ask the
+// relays about them: which topics exist, whose names to show, which events to
+// embed as cards.
+
+function resolveArticleLinks(container, key) {
+    resolveWikilinks(container, key);
+    resolveMentions(container);
+    resolveEmbeds(container);
+}
+
+function resolveWikilinks(container, key) {
+    const links = Array.from(container.querySelectorAll('a.wikilink')).filter(a => !knownTopics.has(a.dataset.topic));
+    const unknown = [...new Set(links.map(a => a.dataset.topic))];
+    if (unknown.length === 0) return;
+    // Relays match d tags exactly, and older articles may not use the
+    // normalized form, so the link text as written is asked for too.
+    const written = links.map(a => new URL(a.getAttribute('href'), window.location.origin).searchParams.get('d')).filter(Boolean);
+    const subId = `wikilinks-${key}`;
+    wikilinkQueries[subId] = unknown;
+    subscribe({ kinds: [ARTICLE_KIND], '#d': [...new Set([...unknown, ...written])], limit: unknown.length * 5 }, subId, { closeOnEose: true });
+}
+
+function receiveWikilinkTopic(event) {
+    const topic = normalizeTopic(articleTopic(event));
+    if (knownTopics.has(topic)) return;
+    knownTopics.add(topic);
+    document.querySelectorAll('a.wikilink').forEach(a => {
+        if (a.dataset.topic === topic && a.classList.contains('new')) {
+            a.classList.remove('new');
+            a.href = topicLink(topic);
+            a.removeAttribute('title');
+        }
+    });
+}
+
+/**
+ * Marks wikilinks to topics no relay has answered with as red links. Called on
+ * every EOSE, so a slow relay that does have the topic can still clear it.
+ */
+function markRedLinks(subId) {
+    const queried = new Set(wikilinkQueries[subId] || []);
+    document.querySelectorAll('a.wikilink').forEach(a => {
+        if (queried.has(a.dataset.topic) && !knownTopics.has(a.dataset.topic)) {
+            a.classList.add('new');
+            a.href = `/editor.html?d=${encodeURIComponent(a.dataset.topic)}`;
+            a.title = 'This article does not exist yet. Follow the link to write it.';
+        }
+    });
+}
+
+function resolveMentions(container) {
+    container.querySelectorAll('a.nostr-mention').forEach(a => {
+        if (profiles[a.dataset.pubkey]) a.textContent = `@${profileName(a.dataset.pubkey)}`;
+        else requestProfile(a.dataset.pubkey);
+    });
+}
+
+function embedFilter(pointer) {
+    if (pointer.type === 'address') return { kinds: [pointer.kind], authors: [pointer.pubkey], '#d': [pointer.identifier] };
+    return { ids: [pointer.id] };
+}
+
+function resolveEmbeds(container) {
+    const pointers = Array.from(container.querySelectorAll('a.nostr-embed'))
+        .map(a => parseNostrIdentifier(a.dataset.nostr))
+        .filter(Boolean);
+    if (pointers.length === 0) return;
+    subscribe(pointers.map(embedFilter), 'nostr-embeds', { closeOnEose: true, hints: [...new Set(pointers.flatMap(pointer => pointer.relays))] });
+}
+
+function embedMatches(pointer, event) {
+    if (pointer.type === 'event') return pointer.id === event.id;
+    return pointer.kind === event.kind && pointer.pubkey === event.pubkey && pointer.identifier === articleTopic(event);
+}
+
+function receiveNostrEmbed(event) {
+    document.querySelectorAll('a.nostr-embed').forEach(a => {
+        const pointer = parseNostrIdentifier(a.dataset.nostr);
+        if (!pointer || !embedMatches(pointer, event)) return;
+        const current = a.dataset.createdAt ? parseInt(a.dataset.createdAt, 10) : 0;
+        if (current > event.created_at) return;
+        a.dataset.createdAt = event.created_at;
+        const isArticle = event.kind === ARTICLE_KIND;
+        const title = isArticle ? articleTitle(event) : 'Note';
+        const summary = (isArticle && getTagValue(event, 'summary')) || (event.content || '').substring(0, 200);
+        if (isArticle) a.href = topicLink(articleTopic(event));
+        a.classList.add('nostr-card');
+        a.innerHTML = `<strong>${escapeHtml(title)}</strong><span>${escapeHtml(summary)}</span><small>by ${authorLabel(event.pubkey)} · ${new Date(event.created_at * 1000).toLocaleDateString()}</small>`;
+    });
+}
+
+/**
+ * Looks for other articles whose wikilinks point at a topic. Relays cannot
+ * search article bodies, so this scans a window of recent articles.
+ */
+function fetchBacklinks(topic) {
+    if (!document.getElementById('what-links-here') || whatLinksHereTopic === topic) return;
+    backlinks = {};
+    if (subscribe({ kinds: [ARTICLE_KIND], limit: 500 }, 'what-links-here', { closeOnEose: true })) whatLinksHereTopic = topic;
+}
+
+function receiveBacklink(event) {
+    if (!whatLinksHereTopic || normalizeTopic(articleTopic(event)) === normalizeTopic(whatLinksHereTopic)) return;
+    if (!markup.wikilinkTargets(event.content).includes(normalizeTopic(whatLinksHereTopic))) return;
+    const key = articleCoordinate(event);
+    if (backlinks[key] && backlinks[key].created_at >= event.created_at) return;
+    backlinks[key] = event;
+}
+
+function renderBacklinks() {
+    const section = document.getElementById('what-links-here');
+    const listEl = document.getElementById('what-links-here-list');
+    if (!section || !listEl) return;
+    const byTopic = {};
+    Object.values(backlinks).forEach(event => {
+        const topic = articleTopic(event);
+        if (!byTopic[topic] || byTopic[topic].created_at < event.created_at) byTopic[topic] = event;
+    });
+    const events = Object.values(byTopic).sort((a, b) => articleTitle(a).localeCompare(articleTitle(b)));
+    section.style.display = 'block';
+    listEl.innerHTML = events.length
+        ? events.map(event => `<li><a href="${topicLink(articleTopic(event))}">${escapeHtml(articleTitle(event))}</a></li>`).join('')
+        : '<li>No other articles on the connected relays link here yet.</li>';
+}
+
+// --- Signing & Editor ---
+// Articles are signed with a NIP-07 browser extension (window.nostr). For
+// testing without one, a local key can be generated and kept in localStorage.
+
+function localSecretKey() {
+    let secretKey = localStorage.getItem('nostipedia_local_key');
+    if (!secretKey) {
+        secretKey = secp256k1.randomSecretKey();
+        localStorage.setItem('nostipedia_local_key', secretKey);
+    }
+    return secretKey;
+}
+
+function usingLocalKey() {
+    return !window.nostr || localStorage.getItem('nostipedia_use_local_key') === '1';
+}
+
+/**
+ * Returns the signer to use: { name, getPublicKey(), signEvent(template) }.
+ */
+function getSigner() {
+    if (!usingLocalKey()) {
+        return {
+            name: 'NIP-07 extension',
+            getPublicKey: () => window.nostr.getPublicKey(),
+            signEvent: template => window.nostr.signEvent(template),
+        };
+    }
+    const secretKey = localSecretKey();
+    return {
+        name: 'local test key',
+        getPublicKey: async () => secp256k1.getPublicKey(secretKey),
+        signEvent: async template => finalizeEvent(template, secretKey),
+    };
+}
+
+/**
+ * Builds an unsigned kind-30818 event. When the text came from another
+ * author's article, it is tagged as a fork of that source (NIP-54); when it
+ * came from the signer's own article, the new event replaces that one.
+ */
+function buildArticleEvent({ topic, title, summary, categories, content }, forkSource, ownSource = null) {
+    const d = ownSource && normalizeTopic(articleTopic(ownSource)) === normalizeTopic(topic) ? articleTopic(ownSource) : normalizeTopic(topic);
+    const tags = [['d', d], ['title', title || topic]];
+    if (summary) tags.push(['summary', summary]);
+    categories.forEach(category => tags.push(['t', category]));
+    if (forkSource) {
+        const hint = eventRelays[forkSource.id] || '';
+        tags.push(['a', articleCoordinate(forkSource), hint, 'fork']);
+        tags.push(['e', forkSource.id, hint, 'fork']);
+    }
+    return { kind: ARTICLE_KIND, created_at: Math.floor(Date.now() / 1000), tags, content };
+}
+
+function fetchEditorSource(params) {
+    const topic = params.get('d');
+    const id = params.get('id');
+    const topicInput = document.getElementById('editor-topic');
+    if (topic && topicInput) topicInput.value = topic;
+    if (id) {
+        const pointer = parseNostrIdentifier(id);
+        if (pointer && pointer.type !== 'profile') subscribe(pointerToFilter(pointer), 'editor-source', { closeOnEose: true, hints: pointer.relays });
+    } else if (topic) {
+        const topics = [...new Set([topic, normalizeTopic(topic)])];
+        subscribe({ kinds: [ARTICLE_KIND], '#d': topics, limit: 100 }, 'editor-source', { closeOnEose: true });
+    }
+}
+
+/**
+ * Loads the newest version seen into the editor, unless the user has already
+ * started typing.
+ */
+function receiveEditorSource(event, relayUrl) {
+    if (event.kind !== ARTICLE_KIND) return;
+    if (relayUrl && !eventRelays[event.id]) eventRelays[event.id] = relayUrl;
+    if (editorState.dirty || (editorState.source && editorState.source.created_at >= event.created_at)) return;
+    editorState.source = event;
+    document.getElementById('editor-topic').value = articleTopic(event);
+    document.getElementById('editor-title').value = getTagValue(event, 'title') || '';
+    document.getElementById('editor-summary').value = getTagValue(event, 'summary') || '';
+    document.getElementById('editor-categories').value = event.tags.filter(t => t[0] === 't').map(t => t[1]).join(', ');
+    document.getElementById('editor-content').value = event.content;
+    const infoEl = document.getElementById('editor-source-info');
+    if (infoEl) infoEl.innerHTML = `Editing the version by ${authorHtml(event.pubkey)} from ${new Date(event.created_at * 1000).toLocaleString()}. ` +
+        'If you are not its author, your edit is published as a fork.';
+    renderEditorPreview();
+}
+
+function renderEditorPreview() {
+    const previewEl = document.getElementById('editor-preview');
+    if (previewEl) previewEl.innerHTML = markup.render(document.getElementById('editor-content').value).html;
+}
+
+async function updateSignerStatus() {
+    const statusEl = document.getElementById('editor-signer-status');
+    const checkbox = document.getElementById('editor-use-local-key');
+    if (checkbox) {
+        checkbox.checked = usingLocalKey();
+        checkbox.disabled = !window.nostr;
+    }
+    if (!statusEl) return;
+    if (usingLocalKey()) {
+        const pubkey = secp256k1.getPublicKey(localSecretKey());
+        statusEl.textContent = `Signing as ${shortNpub(pubkey)} with a local test key. It is stored unencrypted in this browser; do not use it for anything that matters.`;
+    } else {
+        statusEl.textContent = 'Signing with your NIP-07 extension.';
+    }
+}
+
+function renderPublishResults(results) {
+    const listEl = document.getElementById('editor-results');
+    if (!listEl) return;
+    listEl.innerHTML = Object.entries(results).map(([url, result]) => {
+        const label = { ok: 'OK', error: 'Error', pending: 'Waiting…', 'not connected': 'Not connected' }[result.status];
+        return `<li class="publish-${result.status.replace(' ', '-')}"><strong>${escapeHtml(url)}</strong>: ${label}${result.message ? ` — ${escapeHtml(result.message)}` : ''}</li>`;
+    }).join('');
+}
+
+async function publishFromEditor() {
+    const button = document.getElementById('editor-publish');
+    const statusEl = document.getElementById('editor-publish-status');
+    const fields = {
+        topic: document.getElementById('editor-topic').value.trim(),
+        title: document.getElementById('editor-title').value.trim(),
+        summary: document.getElementById('editor-summary').value.trim(),
+        categories: document.getElementById('editor-categories').value.split(',').map(c => c.trim()).filter(Boolean),
+        content: document.getElementById('editor-content').value,
+    };
+    if (!fields.topic || !fields.content.trim()) {
+        statusEl.textContent = 'An article needs a topic and some content.';
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const signer = getSigner();
+        const pubkey = await signer.getPublicKey();
+        const source = editorState.source;
+        const forkSource = source && source.pubkey !== pubkey ? source : null;
+        const ownSource = source && source.pubkey === pubkey ? source : null;
+        statusEl.textContent = `Signing with ${signer.name}…`;
+        const event = await signer.signEvent(buildArticleEvent(fields, forkSource, ownSource));
+        if (event.pubkey !== pubkey || event.id !== getEventHash(event)) throw new Error('The signer returned a malformed event');
+
+        statusEl.textContent = 'Publishing…';
+        const results = await publishEvent(event, renderPublishResults);
+        renderPublishResults(results);
+        const accepted = Object.values(results).filter(result => result.status === 'ok').length;
+        statusEl.innerHTML = accepted
+            ? `Published to ${accepted} relay${accepted === 1 ? '' : 's'}. <a href="${topicLink(articleTopic(event))}">View the article</a>.`
+            : 'No relay accepted the article.';
+        if (accepted) editorState = { source: event, dirty: false };
+    } catch (e) {
+        console.error("Publishing failed:", e);
+        statusEl.textContent = `Publishing failed: ${e.message || e}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function initializeEditor(params) {
+    const contentEl = document.getElementById('editor-content');
+    const checkbox = document.getElementById('editor-use-local-key');
+    const publishButton = document.getElementById('editor-publish');
+    let previewTimer = null;
+
+    document.querySelectorAll('.editor-fields input, #editor-content').forEach(input => {
+        input.addEventListener('input', () => { editorState.dirty = true; });
+    });
+    if (contentEl) contentEl.addEventListener('input', () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderEditorPreview, 200);
+    });
+    if (checkbox) checkbox.addEventListener('change', () => {
+        localStorage.setItem('nostipedia_use_local_key', checkbox.checked ? '1' : '0');
+        updateSignerStatus();
+    });
+    if (publishButton) publishButton.addEventListener('click', publishFromEditor);
+
+    updateSignerStatus();
+    fetchEditorSource(params);
+}
+
+// --- Talk Pages ---
+// An article's discussion is made of NIP-22 comments (kind 1111) on the
+// addresses of its versions. Uppercase tags name the article a thread belongs
+// to; lowercase tags name the parent, which is the article itself for a new
+// thread and another comment for a reply.
+
+function fetchTalkComments(versions) {
+    const coordinates = versions.map(articleCoordinate).sort();
+    const key = coordinates.join(',');
+    if (key === talkState.key) return;
+    talkState.key = key;
+    subscribe([
+        { kinds: [COMMENT_KIND], '#A': coordinates },
+        { kinds: [COMMENT_KIND], '#a': coordinates },
+    ], 'talk-comments');
+}
+
+function receiveTalkComment(event, relayUrl) {
+    if (event.kind !== COMMENT_KIND || talkComments[event.id]) return;
+    if (relayUrl && !eventRelays[event.id]) eventRelays[event.id] = relayUrl;
+    talkComments[event.id] = event;
+    clearTimeout(talkRenderTimer);
+    talkRenderTimer = setTimeout(renderTalk, 100);
+}
+
+/**
+ * Returns the id of the comment a comment replies to, or null for a comment
+ * on the article itself.
+ */
+function talkParentId(event) {
+    const parent = getTagValue(event, 'e');
+    return parent && getTagValue(event, 'k') === String(COMMENT_KIND) ? parent : null;
+}
+
+function relativeTime(timestamp) {
+    const seconds = Math.floor(Date.now() / 1000) - timestamp;
+    const format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    const units = [['year', 365 * 86400], ['month', 30 * 86400], ['week', 7 * 86400], ['day', 86400], ['hour', 3600], ['minute', 60]];
+    const unit = units.find(([, size]) => seconds >= size);
+    return unit ? format.format(-Math.floor(seconds / unit[1]), unit[0]) : 'just now';
+}
+
+function talkCommentHtml(event, children) {
+    const replies = (children[event.id] || []).map(reply => talkCommentHtml(reply, children)).join('');
+    const form = talkState.replyTo === event.id
+        ? `<div class="talk-reply-form"><textarea id="talk-reply-text" rows="3">${escapeHtml(talkState.draft)}</textarea>` +
+          `<button class="talk-reply-submit">Reply</button> <button class="talk-reply-cancel">Cancel</button> <span id="talk-reply-status">${escapeHtml(talkState.status)}</span></div>`
+        : '';
+    return `<li class="talk-comment" data-id="${event.id}">` +
+        `<div class="talk-meta">${authorHtml(event.pubkey, true)} · <time title="${new Date(event.created_at * 1000).toLocaleString()}">${relativeTime(event.created_at)}</time> · <a href="#" class="talk-reply">reply</a></div>` +
+        `<div class="talk-body">${escapeHtml(event.content).replace(/\n/g, '<br>')}</div>` +
+        form + (replies ? `<ul class="talk-replies">${replies}</ul>` : '') + '</li>';
+}
+
+/**
+ * Renders the discussion as threads, oldest first, and the comment count in
+ * the tab label. Replies to comments that have not arrived start their own
+ * thread.
+ */
+function renderTalk() {
+    const comments = Object.values(talkComments).filter(event => !isHiddenEvent(event)).sort((a, b) => a.created_at - b.created_at);
+    const countEl = document.getElementById('talk-count');
+    if (countEl) countEl.textContent = comments.length ? `(${comments.length})` : '';
+    const threadsEl = document.getElementById('talk-threads');
+    if (!threadsEl) return;
+    const typing = document.activeElement && document.activeElement.id === 'talk-reply-text';
+    const children = {};
+    comments.forEach(event => {
+        const parent = talkParentId(event);
+        const key = parent && talkComments[parent] ? parent : 'root';
+        (children[key] = children[key] || []).push(event);
+    });
+    threadsEl.innerHTML = children.root
+        ? children.root.map(event => talkCommentHtml(event, children)).join('')
+        : '<li class="talk-empty">No discussion yet. Start the first thread below.</li>';
+    if (typing) focusTalkReply();
+}
+
+function focusTalkReply() {
+    const replyText = document.getElementById('talk-reply-text');
+    if (!replyText) return;
+    replyText.focus();
+    replyText.setSelectionRange(replyText.value.length, replyText.value.length);
+}
+
+/**
+ * Builds an unsigned comment on the open article, or a reply to `parent`,
+ * which stays in the thread's article scope.
+ */
+function buildCommentEvent(article, content, parent) {
+    const hint = eventRelays[article.id] || '';
+    const scope = parent ? parent.tags.filter(t => ['A', 'E', 'K', 'P'].includes(t[0])) : [];
+    const tags = scope.some(t => t[0] === 'A') ? scope : [
+        ['A', articleCoordinate(article), hint],
+        ['K', String(ARTICLE_KIND)],
+        ['P', article.pubkey, hint],
+    ];
+    if (parent) {
+        const parentHint = eventRelays[parent.id] || '';
+        tags.push(['e', parent.id, parentHint, parent.pubkey], ['k', String(COMMENT_KIND)], ['p', parent.pubkey, parentHint]);
+    } else {
+        tags.push(['a', articleCoordinate(article), hint], ['e', article.id, hint], ['k', String(ARTICLE_KIND)], ['p', article.pubkey, hint]);
+    }
+    return { kind: COMMENT_KIND, created_at: Math.floor(Date.now() / 1000), tags, content };
+}
+
+/**
+ * Signs and publishes a comment on the article being shown.
+ * @param {function(string)} setStatus Shows progress to the user.
+ * @returns {Promise<boolean>} True once at least one relay accepted it.
+ */
+async function postTalkComment(content, parent, setStatus) {
+    const article = articleView.rendered;
+    if (!article || !content.trim()) return false;
+    try {
+        const signer = getSigner();
+        const pubkey = await signer.getPublicKey();
+        setStatus(`Signing with ${signer.name}…`);
+        const event = await signer.signEvent(buildCommentEvent(article, content.trim(), parent));
+        if (event.pubkey !== pubkey || event.id !== getEventHash(event)) throw new Error('The signer returned a malformed event');
+
+        setStatus('Publishing…');
+        const results = await publishEvent(event);
+        const accepted = Object.values(results).filter(result => result.status === 'ok').length;
+        if (!accepted) {
+            setStatus('No relay accepted the comment.');
+            return false;
+        }
+        setStatus(`Posted to ${accepted} relay${accepted === 1 ? '' : 's'}.`);
+        receiveTalkComment(event);
+        return true;
+    } catch (e) {
+        console.error("Posting comment failed:", e);
+        setStatus(`Posting failed: ${e.message || e}`);
+        return false;
+    }
+}
+
+function showArticleTab(name) {
+    const talk = name === 'talk';
+    document.getElementById('article-body').style.display = talk ? 'none' : '';
+    document.getElementById('article-talk').style.display = talk ? 'block' : 'none';
+    document.getElementById('article-tab').classList.toggle('selected', !talk);
+    document.getElementById('talk-tab').classList.toggle('selected', talk);
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${talk ? '#talk' : ''}`);
+}
+
+function initializeTalk() {
+    const threadsEl = document.getElementById('talk-threads');
+    const newText = document.getElementById('talk-new-text');
+    const newButton = document.getElementById('talk-new-submit');
+    const newStatus = document.getElementById('talk-new-status');
+    const signerEl = document.getElementById('talk-signer-status');
+    if (!threadsEl) return;
+
+    document.getElementById('article-tab').addEventListener('click', (e) => {
+        e.preventDefault();
+        showArticleTab('article');
+    });
+    document.getElementById('talk-tab').addEventListener('click', (e) => {
+        e.preventDefault();
+        showArticleTab('talk');
+    });
+    if (window.location.hash === '#talk') showArticleTab('talk');
+    if (signerEl) signerEl.textContent = usingLocalKey()
+        ? 'Comments are signed with the local test key kept in this browser.'
+        : 'Comments are signed with your NIP-07 extension.';
+
+    threadsEl.addEventListener('input', (e) => {
+        if (e.target.id === 'talk-reply-text') talkState.draft = e.target.value;
+    });
+    threadsEl.addEventListener('click', async (e) => {
+        const item = e.target.closest('li.talk-comment');
+        if (!item) return;
+        if (e.target.closest('a.talk-reply')) {
+            e.preventDefault();
+            talkState = { ...talkState, replyTo: item.dataset.id, draft: '', status: '' };
+            renderTalk();
+            focusTalkReply();
+        } else if (e.target.closest('.talk-reply-cancel')) {
+            talkState = { ...talkState, replyTo: null, draft: '', status: '' };
+            renderTalk();
+        } else if (e.target.closest('.talk-reply-submit')) {
+            e.target.disabled = true;
+            const posted = await postTalkComment(talkState.draft, talkComments[item.dataset.id], (text) => {
+                talkState.status = text;
+                const statusEl = document.getElementById('talk-reply-status');
+                if (statusEl) statusEl.textContent = text;
+            });
+            e.target.disabled = false;
+            if (posted) {
+                talkState = { ...talkState, replyTo: null, draft: '', status: '' };
+                renderTalk();
+            }
+        }
+    });
+    if (newButton) newButton.addEventListener('click', async () => {
+        newButton.disabled = true;
+        if (await postTalkComment(newText.value, null, (text) => { newStatus.textContent = text; })) newText.value = '';
+        newButton.disabled = false;
+    });
+}
+
+// --- Moderation ---
+// Events of the shared lists (recent changes, search, categories, talk pages)
+// pass through isHiddenEvent before they are rendered. It applies the
+// reader's NIP-51 mute list, NIP-56 reports by the reader and the people they
+// follow, and optionally a web of trust: only authors within a number of
+// follow hops of the reader. Hidden items are listed in the settings modal,
+// where each can be shown anyway. Only the public part of a mute list is
+// used; private entries would need the reader's key to decrypt.
+
+const MODERATED_SUBSCRIPTIONS = new Set([
+    'recent-articles', 'hourly-edits', 'category-scan', 'category-articles',
+    'search-nip50', 'search-scan', 'random-scan', 'talk-comments',
+]);
+
+function loadModerationSettings() {
+    const settings = JSON.parse(localStorage.getItem('nostipedia_moderation') || '{}');
+    moderation.reader = settings.reader || null;
+    moderation.hops = settings.hops || 0;
+    moderation.useReports = settings.useReports !== false;
+    moderation.shownAnyway = new Set(JSON.parse(localStorage.getItem('nostipedia_shown_anyway') || '[]'));
+    // Lists from the last visit apply at once, before any relay answers.
+    const lists = JSON.parse(localStorage.getItem('nostipedia_moderation_lists') || 'null');
+    if (!moderation.reader || !lists || lists.reader !== moderation.reader) return;
+    moderation.mutes = {
+        pubkeys: new Set(lists.mutes.pubkeys), events: new Set(lists.mutes.events),
+        tags: new Set(lists.mutes.tags), words: lists.mutes.words, createdAt: lists.mutes.createdAt,
+    };
+    lists.reports.forEach(([target, reporter, type]) => addReport(target, reporter, type));
+    if (lists.follows) {
+        moderation.follows = new Set(lists.follows);
+        moderation.followsAt = lists.followsAt || 0;
+        if (moderation.hops === 1) moderation.trust = new Set([moderation.reader, ...moderation.follows]);
+    }
+}
+
+function saveModerationSettings() {
+    const { reader, hops, useReports } = moderation;
+    localStorage.setItem('nostipedia_moderation', JSON.stringify({ reader, hops, useReports }));
+}
+
+function saveModerationLists() {
+    if (!moderation.reader) return;
+    const { mutes } = moderation;
+    const reports = [];
+    moderation.reports.forEach((byReporter, target) => byReporter.forEach((type, reporter) => reports.push([target, reporter, type])));
+    localStorage.setItem('nostipedia_moderation_lists', JSON.stringify({
+        reader: moderation.reader,
+        mutes: { pubkeys: [...mutes.pubkeys], events: [...mutes.events], tags: [...mutes.tags], words: mutes.words, createdAt: mutes.createdAt },
+        reports: reports.slice(-2000),
+        follows: moderation.follows ? [...moderation.follows] : null,
+        followsAt: moderation.followsAt,
+    }));
+}
+
+function setModerationReader(identifier) {
+    const pubkey = identifier ? authorPubkey(identifier) : null;
+    if (identifier && !pubkey) {
+        renderModerationSettings('Not a valid npub or hex public key.');
+        return;
+    }
+    moderation = {
+        ...moderation,
+        reader: pubkey,
+        mutes: { pubkeys: new Set(), events: new Set(), tags: new Set(), words: [], createdAt: 0 },
+        reports: new Map(),
+        follows: null,
+        followsAt: 0,
+        reporters: null,
+        trust: null,
+        trustBuilding: null,
+        trustPending: new Set(),
+    };
+    saveModerationSettings();
+    localStorage.removeItem('nostipedia_moderation_lists');
+    fetchModerationLists();
+    refreshModeration();
+}
+
+function fetchModerationLists() {
+    if (!moderation.reader) return;
+    subscribe({ kinds: [MUTE_LIST_KIND], authors: [moderation.reader], limit: 1 }, 'moderation-mutes');
+    subscribe({ kinds: [3], authors: [moderation.reader], limit: 1 }, 'moderation-contacts', { closeOnEose: true });
+    // Follows from the last visit are enough to ask for reports right away.
+    updateTrustNetwork();
+}
+
+function receiveMuteList(event) {
+    if (event.kind !== MUTE_LIST_KIND || event.pubkey !== moderation.reader || event.created_at <= moderation.mutes.createdAt) return;
+    const values = name => event.tags.filter(t => t[0] === name && t[1]).map(t => t[1]);
+    moderation.mutes = {
+        pubkeys: new Set(values('p')),
+        events: new Set(values('e')),
+        tags: new Set(values('t').map(tag => tag.toLowerCase())),
+        words: values('word').map(word => word.toLowerCase()),
+        createdAt: event.created_at,
+    };
+    saveModerationLists();
+    refreshModeration();
+}
+
+function receiveModerationContacts(event) {
+    if (event.kind !== 3 || event.pubkey !== moderation.reader || event.created_at <= moderation.followsAt) return;
+    moderation.follows = new Set(event.tags.filter(t => t[0] === 'p' && t[1]).map(t => t[1]));
+    moderation.followsAt = event.created_at;
+    saveModerationLists();
+    updateTrustNetwork();
+}
+
+function addReport(target, reporter, type) {
+    if (!moderation.reports.has(target)) moderation.reports.set(target, new Map());
+    moderation.reports.get(target).set(reporter, type);
+}
+
+/**
+ * Records a report. One naming an event hides that event; one naming only a
+ * pubkey hides everything by that author.
+ */
+function receiveReport(event) {
+    if (event.kind !== REPORT_KIND) return;
+    const eTag = event.tags.find(t => t[0] === 'e' && t[1]);
+    const pTag = event.tags.find(t => t[0] === 'p' && t[1]);
+    const target = eTag || pTag;
+    if (!target) return;
+    addReport(target[1], event.pubkey, target[2] || (pTag && pTag[2]) || 'other');
+    // Reports arrive in bulk; apply them together.
+    clearTimeout(moderationRefreshTimer);
+    moderationRefreshTimer = setTimeout(() => {
+        saveModerationLists();
+        refreshModeration();
+    }, 200);
+}
+
+/**
+ * Asks for reports by the reader and their follows, and builds the web of
+ * trust for the chosen number of hops. Two hops needs the contact lists of
+ * everyone the reader follows; until they have answered nothing is hidden
+ * for being outside the web.
+ */
+function updateTrustNetwork() {
+    if (!moderation.reader || !moderation.follows) return;
+    const direct = new Set([moderation.reader, ...moderation.follows]);
+    const reporters = [...direct].sort();
+    if (reporters.join(',') !== (moderation.reporters || []).join(',')) {
+        moderation.reporters = reporters;
+        for (let i = 0; i < reporters.length; i += 100) {
+            subscribe({ kinds: [REPORT_KIND], authors: reporters.slice(i, i + 100), limit: 500 }, `moderation-reports-${i / 100}`, { closeOnEose: true });
+        }
+    }
+
+    moderation.trustPending = new Set();
+    if (moderation.hops < 2) {
+        moderation.trust = moderation.hops === 1 ? direct : null;
+        refreshModeration();
+        return;
+    }
+    moderation.trust = null;
+    moderation.trustBuilding = new Set(direct);
+    const follows = [...moderation.follows];
+    for (let i = 0; i < follows.length; i += 100) {
+        const subId = `trust-contacts-${i / 100}`;
+        moderation.trustPending.add(subId);
+        subscribe({ kinds: [3], authors: follows.slice(i, i + 100), limit: 100 }, subId, { closeOnEose: true });
+    }
+    if (moderation.trustPending.size === 0) trustContactsEose(null);
+}
+
+function receiveTrustContacts(event) {
+    if (event.kind !== 3 || !moderation.trustBuilding) return;
+    event.tags.forEach(t => {
+        if (t[0] === 'p' && /^[a-f0-9]{64}$/.test(t[1] || '')) moderation.trustBuilding.add(t[1]);
+    });
+}
+
+function trustContactsEose(subId) {
+    moderation.trustPending.delete(subId);
+    if (moderation.trustPending.size > 0 || !moderation.trustBuilding) return;
+    moderation.trust = moderation.trustBuilding;
+    moderation.trustBuilding = null;
+    refreshModeration();
+}
+
+/**
+ * Returns why an event breaks the moderation rules, as readable reasons; an
+ * empty array if it does not.
+ */
+function moderationReasons(event) {
+    const reasons = [];
+    const { mutes } = moderation;
+    if (mutes.pubkeys.has(event.pubkey)) reasons.push('Muted author');
+    if (mutes.events.has(event.id)) reasons.push('Muted event');
+    const tag = event.tags.find(t => t[0] === 't' && t[1] && mutes.tags.has(t[1].toLowerCase()));
+    if (tag) reasons.push(`Muted hashtag #${tag[1]}`);
+    if (mutes.words.length) {
+        const text = `${getTagValue(event, 'title') || ''} ${event.content}`.toLowerCase();
+        const word = mutes.words.find(w => text.includes(w));
+        if (word) reasons.push(`Muted word "${word}"`);
+    }
+    if (moderation.useReports) {
+        [event.id, event.pubkey].forEach(target => {
+            const byReporter = moderation.reports.get(target);
+            if (byReporter) byReporter.forEach((type, reporter) => reasons.push(`Reported for ${type} by ${profileName(reporter)}`));
+        });
+    }
+    if (moderation.hops > 0 && moderation.trust && !moderation.trust.has(event.pubkey)) {
+        reasons.push(moderation.hops === 1 ? 'Author is not someone you follow' : `Author is more than ${moderation.hops} follow hops away`);
+    }
+    return reasons;
+}
+
+function isHiddenEvent(event) {
+    return !moderation.shownAnyway.has(event.id) && moderationReasons(event).length > 0;
+}
+
+/**
+ * The filter between handleNostrEvent and the render functions. Events of
+ * moderated lists are logged, so a later change of rules can hide or show them.
+ * @returns {boolean} True if the event may be rendered.
+ */
+function passesModeration(subId, event, relayUrl) {
+    if (!MODERATED_SUBSCRIPTIONS.has(subId)) return true;
+    const hidden = isHiddenEvent(event);
+    moderationLog.set(event.id, { event, subId, relayUrl, shown: !hidden });
+    return !hidden;
+}
+
+/**
+ * Applies changed rules to everything already received.
+ */
+function refreshModeration() {
+    let changed = false;
+    moderationLog.forEach(entry => {
+        const hidden = isHiddenEvent(entry.event);
+        if (hidden === !entry.shown) return;
+        changed = true;
+        entry.shown = !hidden;
+        if (entry.shown) {
+            routeEvent(entry.subId, entry.event, entry.relayUrl);
+            return;
+        }
+        document.querySelectorAll(`.article-preview[data-id="${entry.event.id}"]`).forEach(el => el.remove());
+        delete talkComments[entry.event.id];
+        if (hourlyEdits.delete(entry.event.id)) renderHourlyEdits();
+    });
+    if (changed) {
+        if (searchState.query) renderSearchResults();
+        if (categoryIndex.size()) renderCategories();
+        if (document.getElementById('talk-threads')) renderTalk();
+    }
+    renderModerationSettings();
+}
+
+function showAnyway(eventId) {
+    moderation.shownAnyway.add(eventId);
+    localStorage.setItem('nostipedia_shown_anyway', JSON.stringify([...moderation.shownAnyway].slice(-500)));
+    refreshModeration();
+}
+
+function renderModerationSettings(message) {
+    const infoEl = document.getElementById('moderation-info');
+    const hiddenEl = document.getElementById('moderation-hidden');
+    const readerInput = document.getElementById('moderation-reader');
+    if (!infoEl || !hiddenEl) return;
+    if (readerInput && document.activeElement !== readerInput) readerInput.value = moderation.reader ? nip19.npubEncode(moderation.reader) : '';
+    document.getElementById('moderation-use-reports').checked = moderation.useReports;
+    document.getElementById('moderation-hops').value = String(moderation.hops);
+
+    const { mutes } = moderation;
+    let info = message || '';
+    if (!message && !moderation.reader) {
+        info = 'Enter your public key to use your mute list, reports and follows.';
+    } else if (!message) {
+        info = `Muting ${mutes.pubkeys.size} authors, ${mutes.events.size} events, ${mutes.tags.size} hashtags and ${mutes.words.length} words. ` +
+            `${moderation.reports.size} reported authors or events from ${moderation.reporters ? moderation.reporters.length : 0} trusted people.`;
+        if (moderation.hops > 0) info += moderation.trust ? ` ${moderation.trust.size} authors in your web of trust.` : ' Building your web of trust…';
+    }
+    infoEl.textContent = info;
+
+    const hidden = [...moderationLog.values()].filter(entry => !entry.shown).slice(-50).reverse();
+    hiddenEl.innerHTML = hidden.length === 0 ? '<li>Nothing has been hidden on this page.</li>' : hidden.map(({ event }) => {
+        const label = event.kind === ARTICLE_KIND ? articleTitle(event) : `${event.content.slice(0, 60)}${event.content.length > 60 ? '…' : ''}`;
+        return `<li><strong>${escapeHtml(label)}</strong> by ${escapeHtml(profileName(event.pubkey))}` +
+            `<br><small>${moderationReasons(event).map(escapeHtml).join('; ')}</small> <button data-id="${event.id}">Show anyway</button></li>`;
+    }).join('');
+}
+
+// --- Random Article ---
+// /random (or /random?category=History) picks a topic from the cache and a
+// scan of recent articles, skipping redirects and stubs unless `?all=1` is
+// given, and avoiding topics already shown in this session.
+
+function isRedirectArticle(event) {
+    return /^\s*#redirect\b/i.test(event.content) || articleCategories(event).some(c => c === 'wiki redirect' || c === 'redirect');
+}
+
+function isStubArticle(event) {
+    return articleCategories(event).includes('stub') || event.content.trim().length < 200;
+}
+
+function addRandomCandidate(event) {
+    if (event.kind !== ARTICLE_KIND || randomState.picked) return;
+    if (randomState.category && !articleCategories(event).includes(normalizeCategory(randomState.category))) return;
+    if (!randomState.includeAll && (isRedirectArticle(event) || isStubArticle(event))) return;
+    const topic = normalizeTopic(articleTopic(event));
+    if (topic) randomState.candidates.set(topic, event);
+}
+
+function randomHistory() {
+    return JSON.parse(sessionStorage.getItem('nostipedia_random_seen') || '[]');
+}
+
+function unseenRandomTopics() {
+    const seen = new Set(randomHistory());
+    return [...randomState.candidates.keys()].filter(topic => !seen.has(topic));
+}
+
+/**
+ * Redirects to a random candidate. Once every candidate has been shown this
+ * session, the history starts over.
+ */
+function pickRandomArticle() {
+    if (randomState.picked) return;
+    const statusEl = document.getElementById('random-status');
+    if (randomState.candidates.size === 0) {
+        if (statusEl) statusEl.innerHTML = randomState.category
+            ? `No articles found in the category <a href="${categoryLink(randomState.category)}">${escapeHtml(randomState.category)}</a>.`
+            : 'No articles found on the connected relays.';
+        return;
+    }
+    let history = randomHistory();
+    let topics = unseenRandomTopics();
+    if (topics.length === 0) {
+        history = [];
+        topics = [...randomState.candidates.keys()];
+    }
+    const topic = topics[Math.floor(Math.random() * topics.length)];
+    sessionStorage.setItem('nostipedia_random_seen', JSON.stringify([...history, topic].slice(-RANDOM_HISTORY_SIZE)));
+    randomState.picked = true;
+    window.location.replace(topicLink(articleTopic(randomState.candidates.get(topic))));
+}
+
+async function loadRandomCandidates(params) {
+    randomState.category = params.get('category');
+    randomState.includeAll = params.get('all') === '1';
+    const events = randomState.category
+        ? await offlineCache.getArticlesByCategory(randomState.category)
+        : await offlineCache.getAllArticles();
+    trustCachedEvents(events).filter(event => !isHiddenEvent(event)).forEach(addRandomCandidate);
+    // With enough cached topics there is no need to wait for relays.
+    if (unseenRandomTopics().length >= RANDOM_CACHE_MINIMUM) pickRandomArticle();
+}
+
+function fetchRandomArticle() {
+    if (randomState.picked) return;
+    const filter = { kinds: [ARTICLE_KIND], limit: 500 };
+    if (randomState.category) filter['#t'] = categoryTagValues(randomState.category);
+    randomState.waiting = new Set(relays.map(normalizeRelayUrl));
+    subscribe(filter, 'random-scan', { closeOnEose: true });
+    // Pick once every relay has answered, or give up waiting on slow ones.
+    setTimeout(pickRandomArticle, 5000);
+}
+
+function randomScanEose(relayUrl) {
+    randomState.waiting.delete(relayUrl);
+    if (randomState.waiting.size === 0) pickRandomArticle();
+}
+
+// --- Export & Import ---
+// Articles leave the app as their source, as standalone HTML, as an EPUB book
+// or as a bundle of the signed events themselves. A bundle can be imported
+// again: its events are verified, kept in the offline cache, and can be
+// published to the configured relays.
+
+const BUNDLE_FORMAT = 'nostipedia-bundle';
+const EXPORT_STYLES = `
+body { font-family: sans-serif; line-height: 1.6; max-width: 50em; margin: 2em auto; padding: 0 1em; color: #202122; }
+h1, h2, h3 { font-family: 'Linux Libertine', Georgia, serif; font-weight: normal; border-bottom: 1px solid #a2a9b1; }
+a { color: #0645ad; }
+pre, code { background-color: #f8f9fa; border: 1px solid #eaecf0; padding: 0 0.2em; }
+pre { padding: 1em; overflow-x: auto; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #a2a9b1; padding: 0.2em 0.4em; }
+blockquote { border-left: 4px solid #eaecf0; margin-left: 0; padding-left: 1em; }
+img { max-width: 100%; }
+.export-meta { color: #54595d; font-size: 0.9em; }
+`;
+
+function exportFileName(title, extension) {
+    return `${normalizeTopic(title) || 'nostipedia'}.${extension}`;
+}
+
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Renders an article for use outside the app. Links to other pages of the
+ * site become absolute; `topicHref` may point wikilinks elsewhere instead.
+ */
+function exportArticleHtml(event, topicHref = null) {
+    const rendered = markup.render(event.content);
+    const html = rendered.html.replace(/<a href="([^"]*)"([^>]*)>/g, (match, href, rest) => {
+        const topic = (rest.match(/data-topic="([^"]*)"/) || [])[1];
+        if (topic && topicHref && topicHref(topic)) return `<a href="${escapeHtml(topicHref(topic))}"${rest}>`;
+        return href.startsWith('/') ? `<a href="${escapeHtml(window.location.origin + href)}"${rest}>` : match;
+    });
+    const categories = [...new Set(event.tags.filter(t => t[0] === 't' && t[1]).map(t => t[1].trim()))];
+    return `<h1>${escapeHtml(articleTitle(event))}</h1>\n` +
+        `<p class="export-meta">By ${escapeHtml(profileName(event.pubkey))} (${nip19.npubEncode(event.pubkey)}), ` +
+        `last updated ${new Date(event.created_at * 1000).toUTCString()}. ` +
+        `<a href="${escapeHtml(window.location.origin + topicLink(articleTopic(event)))}">Current version</a>` +
+        `${categories.length ? ` · Categories: ${categories.map(escapeHtml).join(', ')}` : ''}</p>\n${html}`;
+}
+
+function standaloneHtml(title, events) {
+    return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n` +
+        `<style>${EXPORT_STYLES}</style>\n</head>\n<body>\n` +
+        events.map(event => `<article>\n${exportArticleHtml(event)}\n</article>`).join('\n<hr>\n') +
+        `\n</body>\n</html>\n`;
+}
+
+const crc32Table = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds an uncompressed ZIP archive, enough for EPUB, which wants its
+ * `mimetype` entry first and stored as is.
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Blob}
  */
-function parseNostrIdentifier(identifier) {
-    if (!identifier) return null;
-    identifier = identifier.trim();
+function createZip(files, type = 'application/zip') {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        const header = (signature, size) => {
+            const view = new DataView(new ArrayBuffer(size));
+            view.setUint32(0, signature, true);
+            return view;
+        };
+        const local = header(0x04034b50, 30);
+        [[4, 20], [6, 0x0800], [8, 0], [10, time], [12, date]].forEach(([at, value]) => local.setUint16(at, value, true));
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        const entry = header(0x02014b50, 46);
+        [[4, 20], [6, 20], [8, 0x0800], [10, 0], [12, time], [14, date]].forEach(([at, value]) => entry.setUint16(at, value, true));
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        parts.push(local, name, data);
+        central.push(entry, name);
+        offset += 30 + name.length + data.length;
+    });
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end].map(part => part instanceof DataView ? part.buffer : part), { type });
+}
 
-    // Check if it's a raw hex ID
-    if (/^[a-f0-9]{64}$/.test(identifier)) {
-        return identifier;
+// EPUB content is XHTML: void elements must be closed.
+function toXhtml(html) {
+    return html.replace(/<(br|hr|img)\b([^>]*?)\s*\/?>/g, '<$1$2 />');
+}
+
+/**
+ * Builds an EPUB 3 book with one chapter per article. Wikilinks between
+ * articles in the book lead to their chapters.
+ */
+function createEpub(title, events) {
+    const chapters = events.map((event, i) => ({ event, file: `article-${i + 1}.xhtml` }));
+    const chapterOf = new Map(chapters.map(chapter => [normalizeTopic(articleTopic(chapter.event)), chapter.file]));
+    chapters.forEach(chapter => {
+        chapter.content = toXhtml(exportArticleHtml(chapter.event, topic => chapterOf.get(normalizeTopic(topic))));
+    });
+    const id = `urn:nostipedia:${normalizeTopic(title) || 'export'}:${Date.now()}`;
+    const page = (heading, body) => `<?xml version="1.0" encoding="utf-8"?>\n<!DOCTYPE html>\n` +
+        `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en">\n` +
+        `<head><meta charset="utf-8" /><title>${escapeHtml(heading)}</title><link rel="stylesheet" href="style.css" /></head>\n` +
+        `<body>\n${body}\n</body>\n</html>\n`;
+    const authors = [...new Set(events.map(event => profileName(event.pubkey)))];
+    return createZip([
+        { name: 'mimetype', content: 'application/epub+zip' },
+        {
+            name: 'META-INF/container.xml',
+            content: '<?xml version="1.0" encoding="utf-8"?>\n<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+                '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>\n</container>\n',
+        },
+        {
+            name: 'OEBPS/content.opf',
+            content: '<?xml version="1.0" encoding="utf-8"?>\n<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">\n' +
+                '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+                `<dc:identifier id="book-id">${escapeHtml(id)}</dc:identifier>\n<dc:title>${escapeHtml(title)}</dc:title>\n<dc:language>en</dc:language>\n` +
+                authors.map(name => `<dc:creator>${escapeHtml(name)}</dc:creator>\n`).join('') +
+                `<dc:publisher>Nostipedia</dc:publisher>\n<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>\n</metadata>\n` +
+                '<manifest>\n<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />\n' +
+                '<item id="style" href="style.css" media-type="text/css" />\n' +
+                // Images stay on their hosts rather than being copied into the book.
+                chapters.map((chapter, i) => `<item id="article-${i + 1}" href="${chapter.file}" media-type="application/xhtml+xml"` +
+                    `${/<img /.test(chapter.content) ? ' properties="remote-resources"' : ''} />\n`).join('') +
+                '</manifest>\n<spine>\n<itemref idref="nav" />\n' +
+                chapters.map((chapter, i) => `<itemref idref="article-${i + 1}" />\n`).join('') +
+                '</spine>\n</package>\n',
+        },
+        {
+            name: 'OEBPS/nav.xhtml',
+            content: page(title, `<h1>${escapeHtml(title)}</h1>\n<nav epub:type="toc" id="toc"><ol>\n` +
+                chapters.map(chapter => `<li><a href="${chapter.file}">${escapeHtml(articleTitle(chapter.event))}</a></li>\n`).join('') +
+                `</ol></nav>\n<p class="export-meta">Exported from Nostipedia on ${new Date().toUTCString()}.</p>`),
+        },
+        { name: 'OEBPS/style.css', content: EXPORT_STYLES },
+        ...chapters.map(chapter => ({
+            name: `OEBPS/${chapter.file}`,
+            content: page(articleTitle(chapter.event), chapter.content),
+        })),
+    ], 'application/epub+zip');
+}
+
+/**
+ * Bundles signed events with where they came from. The events are exactly as
+ * their authors signed them, so anyone can verify and republish them.
+ */
+function createBundle(title, events) {
+    const pubkeys = new Set(events.map(event => event.pubkey));
+    const authorProfiles = [...pubkeys].map(pubkey => profiles[pubkey] && profiles[pubkey].event).filter(Boolean);
+    return {
+        format: BUNDLE_FORMAT,
+        version: 1,
+        title,
+        exported_at: new Date().toISOString(),
+        exported_from: window.location.href,
+        events: [...events, ...authorProfiles].map(event => ({
+            event,
+            relay: eventRelays[event.id] || null,
+            verified: verifiedEventIds.has(event.id),
+            ...(event.kind === ARTICLE_KIND && { naddr: articleAddress(event, eventRelays[event.id] ? [eventRelays[event.id]] : []) }),
+        })),
+    };
+}
+
+/**
+ * Exports articles in one of the formats. 'source' takes the first article
+ * only; the others take them all.
+ */
+function exportArticles(format, title, events) {
+    if (events.length === 0) return;
+    if (format === 'source') {
+        const event = events[0];
+        const extension = markup.detectFormat(event.content) === 'markdown' ? 'md' : 'adoc';
+        downloadFile(exportFileName(articleTitle(event), extension), event.content, 'text/plain;charset=utf-8');
+    } else if (format === 'html') {
+        downloadFile(exportFileName(title, 'html'), standaloneHtml(title, events), 'text/html;charset=utf-8');
+    } else if (format === 'epub') {
+        downloadFile(exportFileName(title, 'epub'), createEpub(title, events));
+    } else if (format === 'bundle') {
+        downloadFile(exportFileName(title, 'json'), JSON.stringify(createBundle(title, events), null, 2), 'application/json');
     }
+}
 
-    // Check for bech32 format (note1, nevent1)
-    if (identifier.startsWith('note1') || identifier.startsWith('nevent1')) {
-        try {
-            const decoded = bech32.decode(identifier);
-            if (!decoded) return null;
-
-            const data = new Uint8Array(decoded.words.map(w => w));
-            
-            if (decoded.hrp === 'nevent') {
-                 // In nevent, the first TLV entry is the event ID (32 bytes)
-                 const idBytes = data.slice(2, 34); // Skip type and length bytes
-                 const idHex = Array.from(idBytes).map(b => b.toString(16).padStart(2, '0')).join('');
-                 return idHex;
-            } else if (decoded.hrp === 'note') {
-                const idBytes = data.slice(0, 32);
-                return Array.from(idBytes).map(b => b.toString(16).padStart(2, '0')).join('');
-            }
-            
-        } catch (e) {
-            console.error("Error decoding bech32 string:", e);
-            return null;
+/**
+ * Wires the export links (`a[data-export]`) in an element. `collect` returns
+ * `{ title, events }` at the time of the click.
+ */
+function initializeExportLinks(element, collect) {
+    if (!element) return;
+    element.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-export]');
+        if (!link) return;
+        e.preventDefault();
+        const { title, events } = collect();
+        exportArticles(link.dataset.export, title, events);
+    });
+}
+
+/**
+ * Loads a bundle into the offline cache. Events that fail verification, and
+ * kinds the cache does not keep, are skipped.
+ * @returns {Promise<{articles: object[], profiles: number, skipped: number}>}
+ */
+async function importBundle(file) {
+    const bundle = JSON.parse(await file.text());
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.events)) throw new Error('Not a Nostipedia bundle');
+    const result = { articles: [], profiles: 0, skipped: 0 };
+    importedEvents = [];
+    bundle.events.forEach(entry => {
+        const event = entry && entry.event;
+        if (!event || (event.kind !== ARTICLE_KIND && event.kind !== 0) || !isVerifiedEvent(event)) {
+            result.skipped++;
+            return;
         }
+        const relay = validRelayUrl(entry.relay);
+        if (relay && !eventRelays[event.id]) eventRelays[event.id] = relay;
+        cacheEvent(event, relay);
+        importedEvents.push(event);
+        if (event.kind === ARTICLE_KIND) result.articles.push(event);
+        else receiveProfile(event);
+    });
+    result.profiles = importedEvents.length - result.articles.length;
+    return result;
+}
+
+async function importBundleFromInput(input) {
+    const statusEl = document.getElementById('import-status');
+    const republishButton = document.getElementById('republish-bundle-button');
+    const file = input.files[0];
+    if (!file || !statusEl) return;
+    try {
+        const { articles, profiles: profileCount, skipped } = await importBundle(file);
+        const first = articles[0];
+        statusEl.innerHTML = `Imported ${articles.length} article${articles.length === 1 ? '' : 's'} and ${profileCount} profile${profileCount === 1 ? '' : 's'} for offline reading.` +
+            `${skipped ? ` Skipped ${skipped} event${skipped === 1 ? '' : 's'} that could not be verified.` : ''}` +
+            `${first ? ` <a href="${topicLink(articleTopic(first))}">Open ${escapeHtml(articleTitle(first))}</a>` : ''}`;
+        if (republishButton) republishButton.style.display = importedEvents.length ? '' : 'none';
+    } catch (e) {
+        console.error("Could not import bundle:", e);
+        statusEl.textContent = `Could not import ${file.name}: ${e.message}`;
+        if (republishButton) republishButton.style.display = 'none';
     }
+    input.value = '';
+    setTimeout(updateCacheInfo, 1000);
+}
+
+/**
+ * Publishes the imported events to the configured relays, unchanged.
+ */
+async function republishImportedEvents() {
+    const statusEl = document.getElementById('import-status');
+    const events = importedEvents;
+    if (!statusEl || events.length === 0) return;
+    statusEl.textContent = `Publishing ${events.length} events...`;
+    const results = await Promise.all(events.map(event => publishEvent(event)));
+    const accepted = results.filter(perRelay => Object.values(perRelay).some(result => result.status === 'ok')).length;
+    statusEl.textContent = `${accepted} of ${events.length} events were accepted by at least one relay.`;
+}
+
+// --- Compare & Diff View ---
+
+function receiveComparePane(event, paneId) {
+    const current = comparePanes[paneId];
+    if (current && current.created_at >= event.created_at) return;
+    comparePanes[paneId] = event;
+    renderArticleInPane(event, `${paneId}-content`);
+    updateCompareUrl();
+    renderDiff();
+}
+
+function eventPermalink(event) {
+    return nip19.neventEncode({ id: event.id, author: event.pubkey, kind: event.kind });
+}
+
+function currentCompareView() {
+    const view = new URLSearchParams(window.location.search).get('view');
+    return view === 'inline' || view === 'side-by-side' ? view : 'rendered';
+}
+
+/**
+ * Keeps the query string shareable: both loaded revisions and the view mode.
+ */
+function updateCompareUrl(view = currentCompareView()) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries({ a: comparePanes['pane-1'], b: comparePanes['pane-2'] }).forEach(([key, event]) => {
+        if (event) params.set(key, eventPermalink(event));
+    });
+    if (view === 'rendered') params.delete('view');
+    else params.set('view', view);
+    window.history.replaceState(null, '', `/compare.html?${params.toString()}`);
+}
+
+function setCompareView(view) {
+    updateCompareUrl(view);
+    document.querySelectorAll('.compare-views button').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === view);
+    });
+    const compareContainer = document.querySelector('.compare-container');
+    if (compareContainer) compareContainer.classList.toggle('diff-mode', view !== 'rendered');
+    renderDiff();
+}
 
+function diffWordsHtml(words, side) {
+    return words.map(op => {
+        if (op.type === 'equal') return escapeHtml(side === 'old' ? op.a : op.b);
+        if (op.type === 'delete') return side === 'new' ? '' : `<del>${escapeHtml(op.a)}</del>`;
+        return side === 'old' ? '' : `<ins>${escapeHtml(op.b)}</ins>`;
+    }).join('');
+}
+
+/**
+ * Returns the HTML for one diff block as seen from one side: 'old', 'new' or
+ * 'inline' for both at once. Returns null when the block has nothing on that side.
+ */
+function diffBlockHtml(block, side) {
+    switch (block.type) {
+        case 'equal':
+            return `<div class="diff-block">${escapeHtml(side === 'old' ? block.a : block.b)}</div>`;
+        case 'delete':
+            return side === 'new' ? null : `<div class="diff-block diff-deleted"><del>${escapeHtml(block.a)}</del></div>`;
+        case 'insert':
+            return side === 'old' ? null : `<div class="diff-block diff-inserted"><ins>${escapeHtml(block.b)}</ins></div>`;
+        case 'moved-from':
+            return side === 'new' ? null : `<div class="diff-block diff-moved" title="This paragraph was moved">↷ ${escapeHtml(block.a)}</div>`;
+        case 'moved-to':
+            return side === 'old' ? null : `<div class="diff-block diff-moved" title="This paragraph was moved here">↳ ${escapeHtml(block.b)}</div>`;
+        case 'changed':
+            return `<div class="diff-block diff-changed">${diffWordsHtml(block.words, side)}</div>`;
+    }
     return null;
 }
 
+function renderDiff() {
+    const container = document.getElementById('diff-container');
+    const summaryEl = document.getElementById('diff-summary');
+    if (!container) return;
+    const view = currentCompareView();
+    const oldEvent = comparePanes['pane-1'];
+    const newEvent = comparePanes['pane-2'];
+    if (view === 'rendered') {
+        container.style.display = 'none';
+        if (summaryEl) summaryEl.textContent = '';
+        return;
+    }
+    container.style.display = 'block';
+    if (!oldEvent || !newEvent) {
+        container.innerHTML = '<p style="color: #555;">Load an article into both panes to see the differences.</p>';
+        return;
+    }
 
-// --- Settings & Local Storage ---
+    const { blocks, stats } = textDiff.diffArticles(oldEvent.content, newEvent.content);
+    if (summaryEl) {
+        summaryEl.textContent = `+${stats.wordsAdded} / −${stats.wordsRemoved} words · ` +
+            `${stats.paragraphsChanged} changed, ${stats.paragraphsAdded} added, ${stats.paragraphsRemoved} removed, ${stats.paragraphsMoved} moved paragraphs`;
+    }
 
-function loadRelaysFromStorage() {
-    const storedRelays = localStorage.getItem('nostipedia_relays');
-    if (storedRelays) {
-        relays = JSON.parse(storedRelays);
-    } else {
-        relays = [...DEFAULT_RELAYS];
+    if (view === 'inline') {
+        container.innerHTML = `<div class="diff-pane diff-inline">${blocks.map(block => {
+            if (block.type === 'moved-from' || block.type === 'moved-to') return diffBlockHtml(block, block.type === 'moved-from' ? 'old' : 'new');
+            return diffBlockHtml(block, 'inline');
+        }).join('')}</div>`;
+        return;
     }
+
+    // Side by side: every block gets a row on both sides, empty where a side
+    // has nothing, so that rows line up for synchronized scrolling.
+    const rows = blocks.map((block, index) => ({
+        index,
+        old: diffBlockHtml(block, 'old'),
+        new: diffBlockHtml(block, 'new'),
+    }));
+    const column = side => rows.map(row => `<div class="diff-row" data-row="${row.index}">${row[side] || '<div class="diff-block diff-empty"></div>'}</div>`).join('');
+    container.innerHTML = `<div class="diff-side-by-side">
+        <div class="diff-pane" id="diff-old">${column('old')}</div>
+        <div class="diff-pane" id="diff-new">${column('new')}</div>
+    </div>`;
+    synchronizeScrolling(document.getElementById('diff-old'), document.getElementById('diff-new'));
 }
 
-function saveRelaysToStorage() {
-    localStorage.setItem('nostipedia_relays', JSON.stringify(relays));
+/**
+ * Scrolls each pane along with the other, keeping the same diff row at the top.
+ */
+function synchronizeScrolling(left, right) {
+    let syncing = false;
+    const follow = (source, target) => {
+        if (syncing) return;
+        const rows = Array.from(source.querySelectorAll('.diff-row'));
+        const top = source.scrollTop + source.offsetTop;
+        const row = rows.find(r => r.offsetTop + r.offsetHeight > top);
+        if (!row) return;
+        const twin = target.querySelector(`.diff-row[data-row="${row.dataset.row}"]`);
+        if (!twin) return;
+        const fraction = row.offsetHeight ? (top - row.offsetTop) / row.offsetHeight : 0;
+        syncing = true;
+        target.scrollTop = twin.offsetTop - target.offsetTop + fraction * twin.offsetHeight;
+        window.requestAnimationFrame(() => { syncing = false; });
+    };
+    left.addEventListener('scroll', () => follow(left, right));
+    right.addEventListener('scroll', () => follow(right, left));
 }
 
-// --- Core Functions ---
+// --- Article Versions ---
+// Several authors can publish an article under the same topic. The article page
+// collects every author's current version, ranks them with the strategy the
+// reader picked, and shows the top one unless the reader chooses another.
 
 /**
- * Connects to the configured Nostr relays.
+ * Ranking strategies for article versions. Each has a label, a compare function
+ * for Array.prototype.sort and an optional `prepare(versions)` hook that
+ * fetches whatever data the comparison needs. Add more with registerVersionRanker.
  */
-function connectToRelays() {
-    return new Promise((resolve) => {
-        if (connected) {
-            console.log("Disconnecting from old relays first...");
-            pool.forEach(relay => relay.close());
-            pool = [];
-            connected = false;
-        }
-
-        console.log("Connecting to relays...", relays);
-        if(connectLink) connectLink.textContent = "Connecting...";
-        
-        const errorDiv = document.getElementById('connection-error');
-        if(errorDiv) errorDiv.style.display = 'none'; // Hide previous errors
+const versionRankers = {
+    newest: {
+        label: 'Newest',
+        compare: (a, b) => b.created_at - a.created_at,
+    },
+    reactions: {
+        label: 'Most reactions',
+        prepare: fetchVersionReactions,
+        compare: (a, b) => reactionCount(b) - reactionCount(a) || b.created_at - a.created_at,
+    },
+    follows: {
+        label: 'Authors you follow',
+        prepare: fetchReaderContacts,
+        compare: (a, b) => isFollowed(b.pubkey) - isFollowed(a.pubkey) || b.created_at - a.created_at,
+    },
+};
 
+function registerVersionRanker(name, ranker) {
+    versionRankers[name] = ranker;
+}
 
-        if (relays.length === 0) {
-            console.warn("No relays configured.");
-            if(connectLink) connectLink.textContent = "No Relays";
-            return resolve();
-        }
+function currentVersionRanking() {
+    const stored = localStorage.getItem('nostipedia_version_ranking');
+    return versionRankers[stored] ? stored : 'newest';
+}
 
-        let connectionFailed = false;
+function topicVersions(topic) {
+    const normalized = normalizeTopic(topic);
+    return Object.values(articleVersions).filter(e => normalizeTopic(articleTopic(e)) === normalized);
+}
 
-        relays.forEach(url => {
-            try {
-                const relay = new WebSocket(url);
-                relay.onopen = () => {
-                    console.log(`Connected to ${url}`);
-                    pool.push(relay);
-                    if (!connected) {
-                        connected = true;
-                        if(connectLink) connectLink.textContent = "Connected";
-                        resolve();
-                    }
-                };
-                relay.onmessage = (event) => {
-                    const [type, subId, data] = JSON.parse(event.data);
-                    handleNostrEvent(type, subId, data);
-                };
-                relay.onerror = (error) => {
-                    console.error(`Error with ${url}:`, error);
-                    connectionFailed = true;
-                };
-                relay.onclose = () => {
-                    console.log(`Connection closed from ${url}`);
-                    pool = pool.filter(r => r.url !== url);
-                    if (pool.length === 0) {
-                        connected = false;
-                        if(connectLink) connectLink.textContent = "Connect";
-                    }
-                };
-            } catch (error) {
-                console.error(`Failed to connect to ${url}`, error);
-                connectionFailed = true;
-            }
-        });
+function rankVersions(versions) {
+    const ranker = versionRankers[currentVersionRanking()];
+    return [...versions].sort(ranker.compare);
+}
 
-        // After attempting connections, check if all failed, which likely indicates a blocker.
-        setTimeout(() => {
-            if (connectionFailed && pool.length === 0) {
-                if (errorDiv) {
-                    errorDiv.innerHTML = '<strong>Connection Failed.</strong> Could not connect to any relays. This is often caused by a browser extension (like an ad-blocker or Brave Shields) blocking the connection. Please try disabling it for this site.';
-                    errorDiv.style.display = 'block';
-                    if (connectLink) connectLink.textContent = "Connection Blocked";
-                }
-            }
-            // In any case, resolve the promise so the app doesn't hang.
-            if (!connected) {
-                resolve();
-            }
-        }, 2500);
-    });
+function articleSize(event) {
+    return new TextEncoder().encode(event.content || '').length;
 }
 
 /**
- * Handles incoming events from relays.
+ * Re-ranks the known versions of the open topic and renders the selected one
+ * (or the top-ranked one) if it is not already showing. A revision published
+ * while the page is open is only offered through a banner, so the text does
+ * not change under the reader, unless `acceptUpdate` is set.
  */
-function handleNostrEvent(type, subId, data) {
-    if (type === 'EVENT') {
-        if (!receivedEvents[subId]) {
-            receivedEvents[subId] = 0;
-        }
-        receivedEvents[subId]++;
-
-        // console.log(`Received event for sub ${subId}:`, data);
-        if (subId === 'recent-articles') {
-             renderArticlePreview(data, 'recent-articles-container');
-        } else if (subId.startsWith('article-')) {
-            renderArticle(data);
-        } else if (subId === 'search-results') {
-            renderArticlePreview(data, 'search-results-container');
-        } else if (subId.startsWith('compare-pane-1-')) {
-            renderArticleInPane(data, 'pane-1-content');
-        } else if (subId.startsWith('compare-pane-2-')) {
-            renderArticleInPane(data, 'pane-2-content');
-        }
-    } else if (type === 'EOSE') {
-        console.log(`Received EOSE for sub ${subId}`);
-        // If a subscription ends and we haven't received any events for it, update the UI.
-        if (!receivedEvents[subId]) {
-             if (subId === 'recent-articles') {
-                const container = document.getElementById('recent-articles-container');
-                if (container && container.querySelector('p')) container.innerHTML = '<p>No recent articles found on the connected relays.</p>';
-            } else if (subId === 'search-results') {
-                const container = document.getElementById('search-results-container');
-                if (container && container.querySelector('p')) container.innerHTML = '<p>No articles found matching your search or category.</p>';
-            }
+function refreshArticleView(acceptUpdate = false) {
+    if (!articleView.topic) return;
+    const ranked = rankVersions(topicVersions(articleView.topic));
+    if (ranked.length === 0) return;
+    const selected = ranked.find(e => articleCoordinate(e) === articleView.selected) || ranked[0];
+    const rendered = articleView.rendered;
+    fetchTalkComments(ranked);
+    if (!rendered || selected.id !== rendered.id) {
+        if (!acceptUpdate && rendered && selected.created_at > pageOpenedAt) {
+            showArticleUpdate(selected);
+            return;
         }
+        renderArticle(selected, eventRelays[selected.id]);
     }
+    renderVersionPanel(ranked, selected);
 }
 
-/**
- * Subscribes to a set of filters on all connected relays.
- */
-function subscribe(filters, subId) {
-    if (!connected) {
-        console.warn("Not connected to relays. Cannot subscribe.");
+function showArticleUpdate(event) {
+    const updateEl = document.getElementById('article-update');
+    if (!updateEl) return;
+    articleView.update = event;
+    const diffLink = `/compare.html?a=${eventPermalink(articleView.rendered)}&b=${eventPermalink(event)}&view=inline`;
+    updateEl.innerHTML = `This article was updated by ${authorLabel(event.pubkey)} at ${new Date(event.created_at * 1000).toLocaleTimeString()} — ` +
+        `<a href="${diffLink}">view changes</a> · <a href="#" class="article-update-show">show the new version</a>`;
+    updateEl.style.display = 'block';
+}
+
+function hideArticleUpdate() {
+    const updateEl = document.getElementById('article-update');
+    articleView.update = null;
+    if (updateEl) updateEl.style.display = 'none';
+}
+
+function prepareVersionRanking() {
+    const ranker = versionRankers[currentVersionRanking()];
+    if (ranker.prepare && articleView.topic) ranker.prepare(topicVersions(articleView.topic));
+}
+
+function renderVersionPanel(ranked, selected) {
+    const panel = document.getElementById('article-versions');
+    const summaryEl = document.getElementById('article-versions-summary');
+    const listEl = document.getElementById('article-versions-list');
+    const rankingEl = document.getElementById('version-ranking');
+    if (!panel || !listEl) return;
+    if (ranked.length < 2) {
+        panel.style.display = 'none';
         return;
     }
-    // Reset the event counter for this subscription
-    receivedEvents[subId] = 0;
-    const req = ["REQ", subId, filters];
-    console.log("Sending subscription:", req);
-    pool.forEach(relay => {
-        relay.send(JSON.stringify(req));
-    });
-}
-
-
-/**
- * Simple Markdown to HTML converter.
- */
-function simpleMarkdownToHtml(markdownText) {
-    if (!markdownText) return '';
-    let html = markdownText
-        .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-        .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-        .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/^\* (.*$)/gim, '<ul><li>$1</li></ul>')
-        .replace(/<\/ul>\n<ul>/g, '')
-        .replace(/\[([^\]]+)]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
-        .split('\n').map(p => p.trim() ? `<p>${p}</p>` : '').join('')
-        .replace(/<p><h1>(.*?)<\/h1><\/p>/g, '<h1>$1</h1>')
-        .replace(/<p><h2>(.*?)<\/h2><\/p>/g, '<h2>$1</h2>')
-        .replace(/<p><h3>(.*?)<\/h3><\/p>/g, '<h3>$1</h3>')
-        .replace(/<p><ul>(.*?)<\/ul><\/p>/g, '<ul>$1</ul>');
-        
-    return html;
-}
+    panel.style.display = 'block';
+    const others = ranked.length - 1;
+    summaryEl.textContent = `${others} other version${others === 1 ? '' : 's'}`;
 
-// --- Page-specific Logic ---
-function fetchRecentArticles() { subscribe({ kinds: [ARTICLE_KIND], limit: 10 }, 'recent-articles'); }
-function fetchArticle(eventId) { 
-    const hexId = parseNostrIdentifier(eventId);
-    if (!hexId) {
-         console.error("Invalid Nostr identifier provided:", eventId);
-         document.getElementById('content').innerHTML = `<h1>Error: Invalid article ID format.</h1><p>Please use a valid hex, note1, or nevent1 identifier.</p>`;
-         return;
+    if (rankingEl && rankingEl.options.length === 0) {
+        Object.entries(versionRankers).forEach(([name, ranker]) => {
+            rankingEl.add(new Option(ranker.label, name));
+        });
     }
-    subscribe({ ids: [hexId], kinds: [ARTICLE_KIND], limit: 1 }, `article-${hexId}`); 
+    if (rankingEl) rankingEl.value = currentVersionRanking();
+
+    listEl.innerHTML = '';
+    ranked.forEach(event => {
+        const li = document.createElement('li');
+        li.dataset.coordinate = articleCoordinate(event);
+        if (event === selected) li.className = 'current-version';
+        const diffLink = `/compare.html?a=${eventPermalink(selected)}&b=${eventPermalink(event)}&view=inline`;
+        li.innerHTML = `<a href="#" class="version-select">${authorLabel(event.pubkey)}</a> · ${new Date(event.created_at * 1000).toLocaleString()} · ${articleSize(event).toLocaleString()} bytes` +
+            (event === selected ? ' <em>(showing)</em>' : ` · <a href="${diffLink}">diff</a>`);
+        listEl.appendChild(li);
+    });
 }
-function searchArticles(query) { subscribe({ kinds: [ARTICLE_KIND], search: query, limit: 20 }, 'search-results'); }
-function fetchArticlesByCategory(category) { subscribe({ kinds: [ARTICLE_KIND], '#t': [category], limit: 20 }, 'search-results'); }
-function fetchArticleForPane(eventId, paneId, inputElement) { 
-    const hexId = parseNostrIdentifier(eventId);
-    if (!hexId) {
-        console.error("Invalid Nostr identifier for pane:", eventId);
-        inputElement.value = '';
-        inputElement.placeholder = 'Invalid ID. Try again.';
+
+function selectArticleVersion(coordinate) {
+    articleView.selected = coordinate;
+    refreshArticleView(true);
+}
+
+function setVersionRanking(name) {
+    if (!versionRankers[name]) return;
+    localStorage.setItem('nostipedia_version_ranking', name);
+    // A deliberate change of strategy means the reader wants its top pick.
+    articleView.selected = null;
+    prepareVersionRanking();
+    refreshArticleView(true);
+}
+
+function fetchVersionReactions(versions) {
+    const coordinates = versions.map(articleCoordinate).sort();
+    const key = coordinates.join(',');
+    if (key === versionReactionsKey) return;
+    versionReactionsKey = key;
+    subscribe([
+        { kinds: [7], '#a': coordinates },
+        { kinds: [7], '#e': versions.map(e => e.id) },
+    ], 'version-reactions');
+}
+
+function receiveVersionReaction(event) {
+    if (event.kind !== 7 || event.content === '-') return;
+    // NIP-25: the reacted-to event is the last e (and a) tag; earlier ones may be thread context.
+    const lastTag = name => (event.tags.filter(t => t[0] === name).pop() || [])[1];
+    const aTag = lastTag('a');
+    const eTag = lastTag('e');
+    const target = Object.values(articleVersions).find(v => articleCoordinate(v) === aTag || v.id === eTag);
+    if (!target) return;
+    const coordinate = articleCoordinate(target);
+    if (!versionReactions[coordinate]) versionReactions[coordinate] = new Set();
+    versionReactions[coordinate].add(event.pubkey);
+    refreshArticleView();
+}
+
+function reactionCount(event) {
+    const reactions = versionReactions[articleCoordinate(event)];
+    return reactions ? reactions.size : 0;
+}
+
+async function fetchReaderContacts() {
+    if (readerFollows) return;
+    const noteEl = document.getElementById('article-versions-note');
+    if (!window.nostr) {
+        if (noteEl) noteEl.textContent = 'Install a NIP-07 signer extension to rank by the authors you follow.';
         return;
     }
-    const subId = `compare-${paneId}-${hexId}`; 
-    subscribe({ ids: [hexId], kinds: [ARTICLE_KIND], limit: 1 }, subId); 
+    try {
+        const pubkey = await window.nostr.getPublicKey();
+        readerFollows = new Set();
+        subscribe({ kinds: [3], authors: [pubkey], limit: 1 }, 'reader-contacts', { closeOnEose: true });
+    } catch (e) {
+        console.error("Could not get the reader's public key:", e);
+        if (noteEl) noteEl.textContent = 'Your signer did not share a public key, so follows cannot be used.';
+    }
 }
-function renderArticlePreview(event, containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) return;
-    
-    // If this is the first event for this container, clear the "Loading..." message.
-    if (receivedEvents['search-results'] === 1 || receivedEvents['recent-articles'] === 1) {
-       if (container.querySelector('p')) {
-           container.innerHTML = '';
-       }
-    }
-
-    const titleTag = event.tags.find(tag => tag[0] === 'd');
-    const title = titleTag ? titleTag[1] : 'Untitled Article';
-    const summaryTag = event.tags.find(tag => tag[0] === 'summary');
-    const summary = summaryTag ? summaryTag[1] : (event.content || '').substring(0, 150) + '...';
-    const articleLink = `/article.html?id=${event.id}`;
-    const articleDiv = document.createElement('div');
-    articleDiv.className = 'article-preview';
-    articleDiv.innerHTML = `<h3><a href="${articleLink}">${title}</a></h3><p>${summary}</p><small>by: ${event.pubkey.substring(0, 10)}... | id: <a href="${articleLink}">${event.id.substring(0, 10)}...</a></small><hr>`;
-    container.appendChild(articleDiv);
+
+function receiveReaderContacts(event) {
+    if (event.kind !== 3) return;
+    if (readerContactsEvent && readerContactsEvent.created_at >= event.created_at) return;
+    readerContactsEvent = event;
+    readerFollows = new Set(event.tags.filter(t => t[0] === 'p' && t[1]).map(t => t[1]));
+    refreshArticleView();
 }
-function renderArticle(event) {
-    const titleEl = document.getElementById('article-title');
-    const authorEl = document.getElementById('article-author');
-    const dateEl = document.getElementById('article-date');
-    const contentEl = document.getElementById('article-content');
-    if (!titleEl || !contentEl) return;
-    const titleTag = event.tags.find(tag => tag[0] === 'd');
-    titleEl.textContent = titleTag ? titleTag[1] : 'Untitled Article';
-    authorEl.textContent = event.pubkey;
-    dateEl.textContent = new Date(event.created_at * 1000).toLocaleString();
-    contentEl.innerHTML = simpleMarkdownToHtml(event.content);
+
+function isFollowed(pubkey) {
+    return readerFollows && readerFollows.has(pubkey) ? 1 : 0;
 }
-function renderArticleInPane(event, paneContentId) {
-    const contentEl = document.getElementById(paneContentId);
-    if (!contentEl) return;
-    const titleTag = event.tags.find(tag => tag[0] === 'd');
-    const title = titleTag ? titleTag[1] : 'Untitled Article';
-    let html = `<h2>${title}</h2>`;
-    html += `<p><small>Author: ${event.pubkey}<br>Date: ${new Date(event.created_at * 1000).toLocaleString()}</small></p><hr>`;
-    html += simpleMarkdownToHtml(event.content);
-    contentEl.innerHTML = html;
+
+/**
+ * Renders one exact revision, as linked from the history page. Unlike the
+ * normal article view this never switches to a newer version.
+ */
+function renderRevision(event, relayUrl) {
+    renderArticle(event, relayUrl);
+    const noticeEl = document.getElementById('article-notice');
+    if (!noticeEl) return;
+    const topic = articleTopic(event);
+    noticeEl.innerHTML = `This is an old revision of this article, as edited on ${new Date(event.created_at * 1000).toLocaleString()}. ` +
+        `<a href="${topicLink(topic)}">View the current version</a> or <a href="/history.html?d=${encodeURIComponent(topic)}">the full history</a>.`;
+    noticeEl.style.display = 'block';
+}
+
+// --- Revision History ---
+// Relays normally keep only the newest event per author and topic, but some
+// still hold older ones, and forks point at their source through `a`/`e`
+// tags. The history page gathers everything it can find into one timeline.
+
+function fetchHistory(topic) {
+    const normalized = normalizeTopic(topic);
+    const topics = [...new Set([topic, normalized])];
+    subscribe({ kinds: [ARTICLE_KIND], '#d': topics, limit: 500 }, 'history-revisions', { closeOnEose: true });
+}
+
+function fetchHistoryForks() {
+    const revisions = Object.values(historyRevisions);
+    const coordinates = [...new Set(revisions.map(articleCoordinate))].sort();
+    const key = coordinates.join(',');
+    if (coordinates.length === 0 || key === historyForksKey) return;
+    historyForksKey = key;
+    subscribe([
+        { kinds: [ARTICLE_KIND], '#a': coordinates },
+        { kinds: [ARTICLE_KIND], '#e': revisions.map(e => e.id) },
+    ], 'history-forks', { closeOnEose: true });
+}
+
+function receiveHistoryRevision(event) {
+    if (event.kind !== ARTICLE_KIND || historyRevisions[event.id]) return;
+    historyRevisions[event.id] = event;
+    renderHistory();
+}
+
+/**
+ * Finds the revision a revision was derived from: its fork source if it names
+ * one we know, otherwise the same author's previous revision, otherwise the
+ * previous revision by anyone.
+ * @param {object[]} timeline Revisions sorted oldest first.
+ */
+function parentRevision(event, timeline) {
+    const forkSource = event.tags.find(t => (t[0] === 'e' && historyRevisions[t[1]]));
+    if (forkSource) return historyRevisions[forkSource[1]];
+    const earlier = timeline.slice(0, timeline.indexOf(event));
+    const ownPrevious = earlier.filter(e => e.pubkey === event.pubkey).pop();
+    return ownPrevious || earlier.pop() || null;
+}
+
+function revisionLink(event) {
+    return `/article.html?rev=${nip19.neventEncode({ id: event.id, author: event.pubkey, kind: event.kind })}`;
+}
+
+function renderHistory() {
+    const container = document.getElementById('history-container');
+    if (!container) return;
+    const timeline = Object.values(historyRevisions).sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+
+    const rows = timeline.map(event => {
+        const parent = parentRevision(event, timeline);
+        const size = articleSize(event);
+        const delta = parent ? size - articleSize(parent) : size;
+        const deltaClass = delta > 0 ? 'size-added' : delta < 0 ? 'size-removed' : 'size-unchanged';
+        const deltaText = delta > 0 ? `+${delta.toLocaleString()}` : delta < 0 ? `−${Math.abs(delta).toLocaleString()}` : '0';
+        const isFork = event.tags.some(t => t[0] === 'a' && t[1] && t[1] !== articleCoordinate(event) && t[1].startsWith(`${ARTICLE_KIND}:`));
+        const id = eventPermalink(event);
+        const diff = parent
+            ? `<a href="/compare.html?a=${eventPermalink(parent)}&b=${id}&view=inline">diff</a>`
+            : 'diff';
+        return `<tr>
+            <td>${new Date(event.created_at * 1000).toLocaleString()}</td>
+            <td>${authorHtml(event.pubkey)}${isFork ? ' <em>(fork)</em>' : ''}</td>
+            <td>${size.toLocaleString()} bytes</td>
+            <td class="${deltaClass}">(${deltaText})</td>
+            <td><a href="${revisionLink(event)}">view</a> | ${diff}</td>
+        </tr>`;
+    });
+
+    container.innerHTML = `<table class="history-table">
+        <thead><tr><th>Date</th><th>Author</th><th>Size</th><th>Change</th><th></th></tr></thead>
+        <tbody>${rows.reverse().join('')}</tbody>
+    </table>`;
 }
 
 // --- Settings Modal Logic ---
 
 function openSettingsModal() {
     populateRelayList();
+    updateCacheInfo();
+    renderModerationSettings();
     if(settingsModalBackdrop) settingsModalBackdrop.style.display = 'flex';
+    // Keep the connection status and counters live while the modal is open.
+    clearInterval(relayStatusTimer);
+    relayStatusTimer = setInterval(populateRelayList, 1000);
 }
 
 function closeSettingsModal() {
     if(settingsModalBackdrop) settingsModalBackdrop.style.display = 'none';
+    clearInterval(relayStatusTimer);
+    relayStatusTimer = null;
+}
+
+function relayStatusHtml(status) {
+    if (!status) return '<small class="relay-status">Not connected</small>';
+    const parts = [];
+    if (status.state === 'waiting') {
+        parts.push(`Reconnecting in ${Math.max(0, Math.round((status.nextAttempt - Date.now()) / 1000))}s`);
+    } else {
+        parts.push({ open: 'Connected', connecting: 'Connecting…', closed: 'Closed' }[status.state]);
+    }
+    if (status.latency !== null) parts.push(`${status.latency} ms`);
+    parts.push(`${status.eventsReceived} event${status.eventsReceived === 1 ? '' : 's'}`);
+    if (status.invalidEvents) parts.push(`<span class="relay-invalid">${status.invalidEvents} invalid dropped</span>`);
+    if (status.lastError) parts.push(`<span class="relay-error">Last error: ${escapeHtml(status.lastError)}</span>`);
+    if (status.notices.length > 0) {
+        const latest = status.notices[status.notices.length - 1];
+        const all = status.notices.map(n => `${new Date(n.time).toLocaleTimeString()} ${n.message}`).join('\n');
+        parts.push(`<span class="relay-notice" title="${escapeHtml(all)}">NOTICE: ${escapeHtml(latest.message)}${status.notices.length > 1 ? ` (+${status.notices.length - 1} more)` : ''}</span>`);
+    }
+    return `<small class="relay-status relay-${status.state}">${parts.join(' · ')}</small>`;
 }
 
 function populateRelayList() {
     if (!relayList) return;
+    const statuses = new Map((pool ? pool.status() : []).map(status => [status.url, status]));
     relayList.innerHTML = '';
     relays.forEach((relayUrl, index) => {
         const li = document.createElement('li');
-        li.innerHTML = `<span>${relayUrl}</span><span class="remove-relay" data-index="${index}">&times;</span>`;
+        li.innerHTML = `<div><span>${escapeHtml(relayUrl)}</span><br>${relayStatusHtml(statuses.get(normalizeRelayUrl(relayUrl)))}</div>` +
+            `<span class="remove-relay" data-index="${index}">&times;</span>`;
+        relayList.appendChild(li);
+    });
+    // Author relays opened by outbox routing.
+    statuses.forEach(status => {
+        if (!status.temporary) return;
+        const li = document.createElement('li');
+        li.innerHTML = `<div><span>${escapeHtml(status.url)}</span> <small class="relay-status">(author relay, closed when idle)</small><br>${relayStatusHtml(status)}</div>`;
         relayList.appendChild(li);
     });
 }
@@ -470,9 +5690,10 @@ function attachEventListeners() {
     if (addRelayButton) addRelayButton.addEventListener('click', () => {
         const newRelay = addRelayInput.value.trim();
         if (newRelay && newRelay.startsWith('wss://')) {
-            if (!relays.includes(newRelay)) {
+            if (!relays.some(url => normalizeRelayUrl(url) === normalizeRelayUrl(newRelay))) {
                 relays.push(newRelay);
                 saveRelaysToStorage();
+                if (pool) pool.connect(relays);
                 populateRelayList();
             }
             addRelayInput.value = '';
@@ -482,39 +5703,132 @@ function attachEventListeners() {
         }
     });
 
+    const readerInput = document.getElementById('moderation-reader');
+    const useSignerButton = document.getElementById('moderation-use-signer');
+    const reportsCheckbox = document.getElementById('moderation-use-reports');
+    const hopsSelect = document.getElementById('moderation-hops');
+    const hiddenList = document.getElementById('moderation-hidden');
+    if (readerInput) readerInput.addEventListener('change', () => setModerationReader(readerInput.value));
+    if (useSignerButton) useSignerButton.addEventListener('click', async () => {
+        try {
+            setModerationReader(await getSigner().getPublicKey());
+        } catch (e) {
+            console.error("Could not get the reader's public key:", e);
+        }
+    });
+    if (reportsCheckbox) reportsCheckbox.addEventListener('change', () => {
+        moderation.useReports = reportsCheckbox.checked;
+        saveModerationSettings();
+        refreshModeration();
+    });
+    if (hopsSelect) hopsSelect.addEventListener('change', () => {
+        moderation.hops = Number(hopsSelect.value);
+        saveModerationSettings();
+        updateTrustNetwork();
+    });
+    if (hiddenList) hiddenList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (button) showAnyway(button.dataset.id);
+    });
+
+    const clearCacheButton = document.getElementById('clear-cache-button');
+    if (clearCacheButton) clearCacheButton.addEventListener('click', clearOfflineCache);
+    const importInput = document.getElementById('import-bundle-input');
+    const republishButton = document.getElementById('republish-bundle-button');
+    if (importInput) importInput.addEventListener('change', () => importBundleFromInput(importInput));
+    if (republishButton) republishButton.addEventListener('click', republishImportedEvents);
+    // Retry waiting relays right away instead of at the next backoff step.
+    window.addEventListener('online', () => {
+        if (pool) pool.connect(relays);
+    });
+
     if(relayList) relayList.addEventListener('click', (e) => {
         if (e.target.classList.contains('remove-relay')) {
             const indexToRemove = parseInt(e.target.dataset.index, 10);
             relays.splice(indexToRemove, 1);
             saveRelaysToStorage();
+            if (pool) pool.connect(relays);
             populateRelayList();
         }
     });
-
-    const categoriesContainer = document.getElementById('categories-container');
-    if (categoriesContainer) {
-        categoriesContainer.addEventListener('click', (e) => {
-            e.preventDefault();
-            const link = e.target.closest('.category-link');
-            if (link) {
-                const category = link.dataset.category;
-                window.location.href = `/search.html?category=${encodeURIComponent(category)}`;
-            }
-        });
-    }
 }
 
 // --- Router: Initialize page based on URL ---
 async function main() {
     const path = window.location.pathname;
     const params = new URLSearchParams(window.location.search);
+    fetchModerationLists();
 
     if (path.endsWith('/') || path.endsWith('/index.html') || path.endsWith('/recent.html')) {
         fetchRecentArticles();
+        if (!path.endsWith('/recent.html')) {
+            fetchCategories();
+            fetchHourlyEdits();
+        }
+        const filterForm = document.getElementById('recent-filters');
+        if (filterForm) {
+            const filters = recentFilters(params) || {};
+            ['author', 'category', 'window'].forEach(name => {
+                document.getElementById(`recent-filter-${name}`).value = filters[name] || '';
+            });
+            filterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                applyRecentFilters();
+            });
+        }
     } else if (path.endsWith('/article.html')) {
         const articleId = params.get('id');
-        if (articleId) fetchArticle(articleId);
-        else document.getElementById('content').innerHTML = '<h1>Error: No article ID provided.</h1>';
+        const topic = params.get('d');
+        const revision = params.get('rev');
+        if (revision) fetchRevision(revision);
+        else if (topic) fetchArticleByTopic(topic);
+        else if (articleId) {
+            fetchArticle(articleId);
+            // Found in the offline cache: receiveArticleVersion will not ask for the other versions.
+            if (articleView.topic) fetchArticleByTopic(articleView.topic);
+        }
+        else document.getElementById('content').innerHTML = '<h1>Error: No article ID or topic provided.</h1>';
+
+        const versionList = document.getElementById('article-versions-list');
+        const versionRanking = document.getElementById('version-ranking');
+        if (versionList) versionList.addEventListener('click', (e) => {
+            const item = e.target.closest('li');
+            if (item && e.target.closest('a.version-select')) {
+                e.preventDefault();
+                selectArticleVersion(item.dataset.coordinate);
+            }
+        });
+        if (versionRanking) versionRanking.addEventListener('change', () => setVersionRanking(versionRanking.value));
+        initializeTalk();
+        initializeExportLinks(document.getElementById('article-export'), () => ({
+            title: articleView.rendered ? articleTitle(articleView.rendered) : '',
+            events: articleView.rendered ? [articleView.rendered] : [],
+        }));
+        const updateEl = document.getElementById('article-update');
+        if (updateEl) updateEl.addEventListener('click', (e) => {
+            if (!e.target.closest('a.article-update-show')) return;
+            e.preventDefault();
+            // Follow the new revision, even if it is another author's.
+            if (articleView.update) articleView.selected = articleCoordinate(articleView.update);
+            refreshArticleView(true);
+        });
+    } else if (path.endsWith('/random') || path.endsWith('/random.html')) {
+        fetchRandomArticle();
+    } else if (path.endsWith('/categories.html')) {
+        fetchCategories();
+        const paginationEl = document.getElementById('category-pagination');
+        if (paginationEl) paginationEl.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-page]');
+            if (button) setCategoryPage(Number(button.dataset.page));
+        });
+        // Every article of the category, not just the page shown.
+        initializeExportLinks(document.getElementById('category-export'), () => {
+            const node = categoryIndex.find(categoryView.category);
+            return {
+                title: node ? node.name : categoryView.category,
+                events: categoryIndex.articlesIn(categoryView.category).filter(event => !isHiddenEvent(event)),
+            };
+        });
     } else if (path.endsWith('/search.html')) {
         const query = params.get('q');
         const category = params.get('category');
@@ -522,14 +5836,35 @@ async function main() {
         const queryDisplayEl = document.getElementById('search-query-display');
 
         if (category) {
-            if(titleEl) titleEl.textContent = `Category: ${category}`;
-            if(queryDisplayEl) queryDisplayEl.textContent = category;
-            fetchArticlesByCategory(category);
+            // Category listings moved to categories.html; keep old links working.
+            window.location.replace(categoryLink(category));
         } else if (query) {
             if(titleEl) titleEl.textContent = 'Search Results';
             if(queryDisplayEl) queryDisplayEl.textContent = query;
             searchArticles(query);
+            initializeExportLinks(document.getElementById('search-export'), () => ({
+                title: `Search results for ${query}`,
+                events: currentSearchResults().map(result => result.event),
+            }));
+        }
+    } else if (path.endsWith('/editor.html')) {
+        initializeEditor(params);
+    } else if (path.endsWith('/author.html')) {
+        const pubkey = params.get('pubkey');
+        if (pubkey) fetchAuthorPage(pubkey);
+        else document.getElementById('content').innerHTML = '<h1>Error: No author provided.</h1>';
+    } else if (path.endsWith('/history.html')) {
+        const topic = params.get('d');
+        const topicEl = document.getElementById('history-topic');
+        if (!topic) {
+            document.getElementById('content').innerHTML = '<h1>Error: No topic provided.</h1>';
+            return;
+        }
+        if (topicEl) {
+            topicEl.textContent = topic;
+            topicEl.href = topicLink(topic);
         }
+        fetchHistory(topic);
     } else if (path.endsWith('/compare.html')) {
         const inputPane1 = document.getElementById('input-pane-1');
         const inputPane2 = document.getElementById('input-pane-2');
@@ -542,15 +5877,50 @@ async function main() {
         if(loadPane2) loadPane2.addEventListener('click', () => {
             if (inputPane2.value) fetchArticleForPane(inputPane2.value, 'pane-2', inputPane2);
         });
+
+        // Links from the history page pass both identifiers in the query string.
+        if (params.get('a') && inputPane1) {
+            inputPane1.value = params.get('a');
+            fetchArticleForPane(inputPane1.value, 'pane-1', inputPane1);
+        }
+        if (params.get('b') && inputPane2) {
+            inputPane2.value = params.get('b');
+            fetchArticleForPane(inputPane2.value, 'pane-2', inputPane2);
+        }
+
+        document.querySelectorAll('.compare-views button').forEach(button => {
+            button.addEventListener('click', () => setCompareView(button.dataset.view));
+        });
+        setCompareView(currentCompareView());
     }
 }
 
-window.addEventListener('load', async () => {
+// --- Server Exports ---
+// The Pages Functions (see nostipedia-server.js) import the DOM-free parts of
+// this file. Nothing below runs there, since there is no window.
+
+export {
+    DEFAULT_RELAYS, ARTICLE_KIND, RECENT_WINDOWS,
+    nip19, parseNostrIdentifier, pointerToFilter, authorPubkey,
+    checkEventId, verifyEvent, createRelayPool, normalizeRelayUrl,
+    getTagValue, normalizeTopic, articleTopic, articleTitle, articleCoordinate, articleAddress, articleCategories,
+    escapeHtml, topicLink, shortNpub, markup, createSearchIndex,
+};
+
+if (typeof window !== 'undefined') window.addEventListener('load', async () => {
     console.log("Window 'load' event fired. Initializing app.");
     try {
         initializeDOMElements();
         attachEventListeners();
+        initializeLoadMore();
         loadRelaysFromStorage();
+        loadAuthorRelayLists();
+        loadModerationSettings();
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(e => console.warn("Service worker registration failed:", e));
+        }
+        createPool();
+        await loadCachedPage();
         await connectToRelays();
         await main();
     } catch (e) {
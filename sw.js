@@ -0,0 +1,71 @@
+/**
+ * sw.js
+ * Service worker for Nostipedia. Keeps the page shells and the app script
+ * available offline; article content itself is cached by nostipedia.js in
+ * IndexedDB. Shell requests go to the network first, so a deploy is picked up
+ * on the next load, and fall back to the cache when the network is slow or
+ * unavailable.
+ */
+
+const CACHE_NAME = 'nostipedia-shell-v2';
+const NETWORK_TIMEOUT = 3000;
+const SHELL = [
+    '/',
+    '/_layout.html',
+    '/nostipedia.js',
+    '/index.html',
+    '/article.html',
+    '/recent.html',
+    '/search.html',
+    '/categories.html',
+    '/random',
+    '/history.html',
+    '/author.html',
+    '/compare.html',
+    '/editor.html',
+];
+
+self.addEventListener('install', (event) => {
+    // Cached one by one, so a single missing page does not fail the install.
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all(
+        SHELL.map(url => cache.add(url).catch(e => console.warn(`Could not cache ${url}:`, e)))
+    )).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(names => Promise.all(
+        names.filter(name => name.startsWith('nostipedia-') && name !== CACHE_NAME).map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+function isShellRequest(request) {
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return false;
+    if (url.pathname.startsWith('/api/')) return false;
+    return request.mode === 'navigate' || SHELL.includes(url.pathname);
+}
+
+/**
+ * Fetches from the network and updates the cache; if that fails or takes
+ * longer than NETWORK_TIMEOUT, answers from the cache instead. Pages are
+ * cached without their query string, since the content comes from relays.
+ * Articles the server pre-rendered belong to their URL only and are never
+ * cached; the bare shell under the same key would be replaced by them.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cacheKey = new URL(request.url).pathname;
+    const network = fetch(request).then(response => {
+        if (response.ok && !response.headers.has('x-nostipedia-prerendered')) cache.put(cacheKey, response.clone());
+        return response;
+    });
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+    const response = await Promise.race([network.catch(() => null), timeout]);
+    if (response) return response;
+    const cached = await cache.match(cacheKey);
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    if (isShellRequest(event.request)) event.respondWith(networkFirst(event.request));
+});